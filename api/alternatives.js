@@ -0,0 +1,87 @@
+/**
+ * Exercise alternatives
+ *
+ * Scores every other exercise as a substitute for a given one, based on
+ * the muscles worked, category, difficulty and equipment on hand.
+ */
+
+const { usableEquipment, LEVELS } = require('./generator');
+
+// Maximum points per scoring component
+const WEIGHTS = {
+  primaryMuscles: 50,
+  secondaryMuscles: 20,
+  category: 15,
+  difficulty: 15,
+  equipment: 10
+};
+
+/**
+ * Share of items two lists have in common (Jaccard index)
+ * @param {Array<string>} a - First list
+ * @param {Array<string>} b - Second list
+ * @returns {number} Value between 0 and 1
+ */
+function overlap(a, b) {
+  const setA = new Set(a);
+  const setB = new Set(b);
+  const union = new Set([...setA, ...setB]);
+
+  if (union.size === 0) {
+    return 0;
+  }
+
+  const shared = [...setA].filter(item => setB.has(item)).length;
+  return shared / union.size;
+}
+
+/**
+ * Round a score component for display
+ * @param {number} value - Raw value
+ * @returns {number} Value rounded to one decimal
+ */
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Rank substitutes for an exercise
+ * @param {Object} exercise - Exercise to replace
+ * @param {Array} exercises - All exercises
+ * @param {Array<string>} [equipment] - Equipment the user owns, omit to allow any
+ * @returns {Array<Object>} Alternatives sorted by score: { exercise, score, breakdown, equipment }
+ */
+function findAlternatives(exercise, exercises, equipment) {
+  const allMuscles = ex => [...(ex.primaryMuscles || []), ...(ex.secondaryMuscles || [])];
+  const level = LEVELS.indexOf(exercise.difficulty);
+
+  return exercises
+    .filter(candidate => candidate.id !== exercise.id)
+    .map(candidate => {
+      const usable = equipment ? usableEquipment(candidate, equipment) : candidate.equipment || [];
+      const levelDistance = Math.abs(LEVELS.indexOf(candidate.difficulty) - level);
+
+      const breakdown = {
+        primaryMuscles: round(WEIGHTS.primaryMuscles * overlap(exercise.primaryMuscles || [], candidate.primaryMuscles || [])),
+        secondaryMuscles: round(WEIGHTS.secondaryMuscles * overlap(allMuscles(exercise), allMuscles(candidate))),
+        category: candidate.category === exercise.category ? WEIGHTS.category : 0,
+        difficulty: round(Math.max(0, WEIGHTS.difficulty * (1 - levelDistance / 2))),
+        // Similar setup to the original with the equipment that can be used
+        equipment: usable ? round(WEIGHTS.equipment * overlap(exercise.equipment || [], usable)) : 0
+      };
+
+      return {
+        exercise: candidate,
+        score: round(Object.values(breakdown).reduce((sum, value) => sum + value, 0)),
+        breakdown,
+        equipment: usable
+      };
+    })
+    // A substitute must be doable and work at least one of the same muscles
+    .filter(result => result.equipment && (result.breakdown.primaryMuscles > 0 || result.breakdown.secondaryMuscles > 0))
+    .sort((a, b) => b.score - a.score || a.exercise.name.localeCompare(b.exercise.name));
+}
+
+module.exports = {
+  findAlternatives
+};
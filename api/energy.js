@@ -0,0 +1,210 @@
+/**
+ * Energy expenditure estimates
+ *
+ * Estimates the calories burned during an exercise or a whole workout from
+ * MET values with the standard formula kcal = MET × 3.5 × kg ÷ 200 × minutes.
+ */
+
+const INTENSITIES = ['light', 'moderate', 'vigorous'];
+const DEFAULT_INTENSITY = 'moderate';
+const FORMULA = 'kcal = MET × 3.5 × weightKg ÷ 200 × durationMin';
+const MIN_WEIGHT = 20; // Kilograms
+const MAX_WEIGHT = 300; // Kilograms
+const MAX_DURATION = 600; // Minutes
+
+const GENERAL_ASSUMPTIONS = [
+  'MET values come from typical adults; fitness, technique and load change the real figure',
+  'Includes the resting metabolism during the activity, so the energy burned on top of rest is lower'
+];
+
+/**
+ * Error raised for invalid energy parameters
+ */
+class EnergyError extends Error {}
+
+/**
+ * Parse a positive number within limits from a query parameter
+ * @param {*} value - Raw value
+ * @param {string} name - Parameter name for error messages
+ * @param {number} min - Lowest allowed value, exclusive when 0
+ * @param {number} max - Highest allowed value
+ * @returns {number|undefined} Parsed value, undefined when not given
+ */
+function parseNumber(value, name, min, max) {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || number <= 0 || number > max) {
+    throw new EnergyError(`${name} must be a number between ${min} and ${max}`);
+  }
+  return number;
+}
+
+/**
+ * Validate energy parameters from a query string
+ * @param {Object} query - Request query
+ * @returns {Object} weightKg, durationMin (may be undefined) and intensity
+ */
+function normalizeParams(query) {
+  const weightKg = parseNumber(query.weightKg, 'weightKg', MIN_WEIGHT, MAX_WEIGHT);
+  if (weightKg === undefined) {
+    throw new EnergyError('weightKg parameter is required');
+  }
+
+  const intensity = query.intensity || DEFAULT_INTENSITY;
+  if (!INTENSITIES.includes(intensity)) {
+    throw new EnergyError(`intensity must be one of: ${INTENSITIES.join(', ')}`);
+  }
+
+  return {
+    weightKg,
+    durationMin: parseNumber(query.durationMin, 'durationMin', 0, MAX_DURATION),
+    intensity
+  };
+}
+
+/**
+ * Calculate energy expenditure
+ * @param {number} met - Metabolic equivalent
+ * @param {number} weightKg - Body weight
+ * @param {number} durationMin - Minutes of activity
+ * @returns {number} Kilocalories, rounded to one decimal
+ */
+function calculateKcal(met, weightKg, durationMin) {
+  return Math.round(met * 3.5 * weightKg / 200 * durationMin * 10) / 10;
+}
+
+/**
+ * Pick the MET value of an exercise for an intensity
+ * @param {Object} exercise - Exercise data
+ * @param {string} intensity - Requested intensity
+ * @returns {Object} MET value, the intensity it is for and what it is based on
+ */
+function getMet(exercise, intensity) {
+  const table = exercise.met || {};
+  const assumptions = [];
+  let used = intensity;
+
+  // Exercises with a single value only have a moderate one
+  if (table[used] === undefined) {
+    used = table[DEFAULT_INTENSITY] !== undefined
+      ? DEFAULT_INTENSITY
+      : INTENSITIES.find(level => table[level] !== undefined);
+    if (used) {
+      assumptions.push(`No ${intensity} MET value for this exercise, used the ${used} one`);
+    }
+  }
+
+  if (exercise.metSource === 'category') {
+    assumptions.push(`MET value is the default for ${exercise.category} exercises, the exercise has none of its own`);
+  }
+
+  return { met: used ? table[used] : null, intensity: used || intensity, assumptions };
+}
+
+/**
+ * Estimate the energy burned by one exercise
+ * @param {Object} exercise - Exercise data
+ * @param {Object} query - weightKg, durationMin and intensity
+ * @returns {Object} Estimate with the formula and assumptions
+ * @throws {EnergyError} If a parameter is invalid or the exercise has no MET value
+ */
+function estimateExerciseEnergy(exercise, query) {
+  const params = normalizeParams(query);
+  const { met, intensity, assumptions } = getMet(exercise, params.intensity);
+
+  if (met === null) {
+    throw new EnergyError('No MET value available for this exercise');
+  }
+
+  let durationMin = params.durationMin;
+  if (durationMin === undefined) {
+    const estimatedTime = exercise.mobile && exercise.mobile.estimatedTime;
+    if (!estimatedTime) {
+      throw new EnergyError('durationMin parameter is required for this exercise');
+    }
+    durationMin = Math.round(estimatedTime / 60 * 10) / 10;
+    assumptions.push(`durationMin is the estimated time of the ${exercise.difficulty} prescription, rest included`);
+  }
+
+  return {
+    id: exercise.id,
+    name: exercise.name,
+    weightKg: params.weightKg,
+    durationMin,
+    intensity,
+    met,
+    kcal: calculateKcal(met, params.weightKg, durationMin),
+    formula: FORMULA,
+    assumptions: [...assumptions, ...GENERAL_ASSUMPTIONS]
+  };
+}
+
+/**
+ * Estimate the energy burned by a workout, exercise by exercise
+ * @param {Object} workout - Workout data
+ * @param {Map<string, Object>} exercisesById - Exercises by ID
+ * @param {Object} query - weightKg and intensity
+ * @returns {Object} Total and per-exercise estimates with the formula and assumptions
+ * @throws {EnergyError} If a parameter is invalid
+ */
+function estimateWorkoutEnergy(workout, exercisesById, query) {
+  const params = normalizeParams(query);
+  const assumptions = new Set();
+  const exercises = [];
+
+  workout.blocks.forEach(block => {
+    block.exercises.forEach(entry => {
+      const exercise = exercisesById.get(entry.id);
+      const { met, intensity, assumptions: metAssumptions } = exercise
+        ? getMet(exercise, params.intensity)
+        : { met: null, intensity: params.intensity, assumptions: [] };
+
+      // Only the time under work counts, every set of every round
+      const durationMin = Math.round(block.rounds * entry.sets * entry.workTime / 60 * 100) / 100;
+
+      if (entry.reps && !entry.duration) {
+        assumptions.add('Reps take as long as in the exercise\'s prescription for the workout difficulty');
+      }
+      metAssumptions.forEach(assumption => assumptions.add(`${entry.id}: ${assumption}`));
+
+      exercises.push({
+        block: block.name,
+        id: entry.id,
+        name: exercise ? exercise.name : null,
+        durationMin,
+        intensity,
+        met,
+        kcal: met === null ? null : calculateKcal(met, params.weightKg, durationMin)
+      });
+    });
+  });
+
+  assumptions.add('Rest between sets and exercises is not counted');
+  if (exercises.some(item => item.met === null)) {
+    assumptions.add('Exercises without a MET value are left out of the total');
+  }
+
+  const total = exercises.reduce((sum, item) => sum + (item.kcal || 0), 0);
+
+  return {
+    id: workout.id,
+    name: workout.name,
+    weightKg: params.weightKg,
+    intensity: params.intensity,
+    durationMin: Math.round(exercises.reduce((sum, item) => sum + item.durationMin, 0) * 10) / 10,
+    kcal: Math.round(total * 10) / 10,
+    exercises,
+    formula: FORMULA,
+    assumptions: [...assumptions, ...GENERAL_ASSUMPTIONS]
+  };
+}
+
+module.exports = {
+  estimateExerciseEnergy,
+  estimateWorkoutEnergy,
+  EnergyError,
+  INTENSITIES
+};
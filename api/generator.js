@@ -0,0 +1,363 @@
+/**
+ * Workout generator
+ *
+ * Builds a warm-up, main and finisher session from the exercises that fit
+ * the user's equipment, level and time, balancing the load across muscles.
+ * Selection is deterministic for a given seed.
+ */
+
+const LEVELS = ['beginner', 'intermediate', 'advanced'];
+const MIN_DURATION = 5; // Minutes
+const MAX_DURATION = 180; // Minutes
+const MAX_MUSCLE_LOAD = 2; // Main exercises allowed per primary muscle
+const RANDOM_WEIGHT = 0.5; // Share of the score left to the seeded random pick
+
+// Share of the session spent in each phase
+const PHASE_SHARE = {
+  warmUp: 0.15,
+  finisher: 0.15
+};
+
+const WARM_UP_PRESCRIPTION = { sets: 1, duration: 45, rest: 15 };
+const FINISHER_PRESCRIPTION = { sets: 1, duration: 60, rest: 30 };
+const WARM_UP_CATEGORIES = ['flexibility', 'cardio'];
+const FINISHER_CATEGORIES = ['cardio', 'core'];
+
+/**
+ * Error raised for invalid generator parameters
+ */
+class GeneratorError extends Error {}
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32)
+ * @param {string|number} seed - Seed value
+ * @returns {Function} Function returning numbers in [0, 1)
+ */
+function createRandom(seed) {
+  // FNV-1a hash so string seeds are accepted
+  let state = 2166136261;
+  for (const char of String(seed)) {
+    state ^= char.charCodeAt(0);
+    state = Math.imul(state, 16777619);
+  }
+
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Validate and fill in defaults for generator parameters
+ * @param {Object} body - Request body
+ * @returns {Object} Normalized parameters
+ */
+function normalizeParams(body) {
+  if (body !== undefined && body !== null && (typeof body !== 'object' || Array.isArray(body))) {
+    throw new GeneratorError('Request body must be a JSON object');
+  }
+
+  const params = body || {};
+  const toList = (value, name) => {
+    if (value === undefined) return [];
+    if (!Array.isArray(value) || !value.every(item => typeof item === 'string')) {
+      throw new GeneratorError(`${name} must be an array of strings`);
+    }
+    return value;
+  };
+
+  const duration = params.duration === undefined ? 30 : Number(params.duration);
+  if (!Number.isFinite(duration) || duration < MIN_DURATION || duration > MAX_DURATION) {
+    throw new GeneratorError(`duration must be between ${MIN_DURATION} and ${MAX_DURATION} minutes`);
+  }
+
+  const level = params.level || 'beginner';
+  if (!LEVELS.includes(level)) {
+    throw new GeneratorError(`level must be one of: ${LEVELS.join(', ')}`);
+  }
+
+  return {
+    equipment: toList(params.equipment, 'equipment'),
+    duration,
+    muscles: toList(params.muscles, 'muscles'),
+    categories: toList(params.categories, 'categories'),
+    level,
+    // Without a seed, pick one and return it so the plan can be reproduced
+    seed: params.seed !== undefined ? String(params.seed) : String(Math.floor(Math.random() * 1e9))
+  };
+}
+
+/**
+ * Check whether an exercise can be done with the available equipment
+ * @param {Object} exercise - Exercise data
+ * @param {Array<string>} equipment - Equipment on hand
+ * @returns {Array<string>|null} Usable equipment options, or null if none
+ */
+function usableEquipment(exercise, equipment) {
+  if (!exercise.equipment || exercise.equipment.length === 0) {
+    return ['none'];
+  }
+
+  // Listed equipment are alternatives, "none" is always available
+  const usable = exercise.equipment.filter(eq => eq === 'none' || equipment.includes(eq));
+  return usable.length > 0 ? usable : null;
+}
+
+/**
+ * Get the main block prescription of an exercise at a level
+ * The build fills in a prescription for every level, so generated workouts
+ * match the exercise data.
+ * @param {Object} exercise - Exercise data
+ * @param {string} level - User level
+ * @returns {Object} Sets, reps or duration, rest and estimated time
+ */
+function mainPrescription(exercise, level) {
+  return exercise.prescriptions[level];
+}
+
+/**
+ * Estimate the time of an exercise slot in seconds
+ * @param {Object} prescription - Sets, reps or duration, and rest
+ * @returns {number} Seconds
+ */
+function slotTime(prescription) {
+  if (prescription.estimatedTime) {
+    return prescription.estimatedTime;
+  }
+
+  const workTime = prescription.duration || 30;
+  return prescription.sets * (workTime + prescription.rest);
+}
+
+/**
+ * Score how well an exercise serves the requested targets
+ * @param {Object} exercise - Exercise data
+ * @param {Object} params - Normalized parameters
+ * @returns {Object} Score and the targets it covers
+ */
+function targetScore(exercise, params) {
+  const primary = exercise.primaryMuscles || [];
+  const secondary = exercise.secondaryMuscles || [];
+  const muscles = params.muscles.length > 0 ? params.muscles : null;
+
+  const primaryHits = muscles ? primary.filter(m => muscles.includes(m)) : primary;
+  const secondaryHits = muscles ? secondary.filter(m => muscles.includes(m)) : [];
+  const categoryHit = params.categories.includes(exercise.category);
+  const hasTargets = Boolean(muscles) || params.categories.length > 0;
+
+  return {
+    score: primaryHits.length * 2 + secondaryHits.length + (categoryHit ? 2 : 0),
+    // Without requested targets every exercise counts as on target
+    targeted: !hasTargets || categoryHit || (Boolean(muscles) && primaryHits.length + secondaryHits.length > 0),
+    primaryHits,
+    secondaryHits,
+    categoryHit
+  };
+}
+
+/**
+ * Pick exercises for one phase of the session
+ * @param {Array<Object>} pool - Candidate exercises with precomputed data
+ * @param {Object} options - Phase options
+ * @returns {Array<Object>} Picked entries
+ */
+function pickPhase(pool, options) {
+  const { budget, prescriptionFor, preferCategories, muscleLoad, random, used, maxLoad } = options;
+  const picked = [];
+  let remaining = budget;
+
+  while (remaining > 0) {
+    let best = null;
+
+    for (const candidate of pool) {
+      const { exercise, target } = candidate;
+      if (used.has(exercise.id)) continue;
+
+      const prescription = prescriptionFor(exercise);
+      const time = slotTime(prescription);
+      if (time > remaining && picked.length > 0) continue;
+
+      // Do not overload a muscle that has already been worked enough
+      const load = (exercise.primaryMuscles || []).reduce((sum, m) => sum + (muscleLoad[m] || 0), 0);
+      const overloaded = maxLoad && (exercise.primaryMuscles || []).some(m => (muscleLoad[m] || 0) >= maxLoad);
+      if (overloaded) continue;
+
+      const categoryBonus = preferCategories && preferCategories.includes(exercise.category) ? 3 : 0;
+      const score = target.score + categoryBonus + candidate.levelBonus - load + random() * RANDOM_WEIGHT;
+
+      if (!best || score > best.score) {
+        best = { candidate, score, prescription, time, categoryBonus };
+      }
+    }
+
+    if (!best) break;
+
+    const { exercise } = best.candidate;
+    used.add(exercise.id);
+    remaining -= best.time;
+    (exercise.primaryMuscles || []).forEach(m => {
+      muscleLoad[m] = (muscleLoad[m] || 0) + 1;
+    });
+    picked.push({ ...best, reasons: explainPick(best, options) });
+  }
+
+  return picked;
+}
+
+/**
+ * Describe why an exercise was picked
+ * @param {Object} pick - Picked candidate with score details
+ * @param {Object} options - Phase options
+ * @returns {Array<string>} Human-readable reasons
+ */
+function explainPick(pick, options) {
+  const { exercise, target, usable, levelBonus } = pick.candidate;
+  const reasons = [];
+
+  if (target.primaryHits.length > 0) {
+    reasons.push(`Primarily works ${target.primaryHits.join(', ')}`);
+  }
+  if (target.secondaryHits.length > 0) {
+    reasons.push(`Also works requested ${target.secondaryHits.join(', ')}`);
+  }
+  if (target.categoryHit) {
+    reasons.push(`Matches requested category ${exercise.category}`);
+  }
+  if (pick.categoryBonus > 0) {
+    reasons.push(`${exercise.category} exercises suit the ${options.phase} phase`);
+  }
+  reasons.push(`Can be done with: ${usable.join(', ')}`);
+  reasons.push(levelBonus > 0
+    ? `Matches the ${options.level} level`
+    : `Easier ${exercise.difficulty} exercise within the ${options.level} level`);
+
+  return reasons;
+}
+
+/**
+ * Format picked entries as a workout block
+ * @param {string} name - Block name
+ * @param {Array<Object>} picks - Picked entries with their prescriptions
+ * @returns {Object} Workout block
+ */
+function toBlock(name, picks) {
+  return {
+    name,
+    type: 'straight',
+    exercises: picks.map(pick => ({
+      id: pick.candidate.exercise.id,
+      name: pick.candidate.exercise.name,
+      ...pick.prescription,
+      estimatedTime: pick.time,
+      reasons: pick.reasons
+    }))
+  };
+}
+
+/**
+ * Generate a balanced workout session
+ * @param {Array} exercises - All exercises
+ * @param {Object} body - Generator parameters
+ * @returns {Object} Generated workout
+ */
+function generateWorkout(exercises, body) {
+  const params = normalizeParams(body);
+  const random = createRandom(params.seed);
+  const maxLevel = LEVELS.indexOf(params.level);
+
+  // Candidates the user can do with what they have at their level
+  const pool = exercises
+    .filter(exercise => LEVELS.indexOf(exercise.difficulty) <= maxLevel)
+    .map(exercise => ({
+      exercise,
+      usable: usableEquipment(exercise, params.equipment),
+      target: targetScore(exercise, params),
+      levelBonus: exercise.difficulty === params.level ? 1 : 0
+    }))
+    .filter(candidate => candidate.usable);
+
+  const totalBudget = params.duration * 60;
+  const muscleLoad = {};
+  const used = new Set();
+  const common = { muscleLoad, random, used, level: params.level };
+
+  // Warm-up uses light exercises and may rehearse movements repeated later
+  const warmUpPool = pool.filter(candidate =>
+    WARM_UP_CATEGORIES.includes(candidate.exercise.category) || candidate.exercise.difficulty === 'beginner'
+  );
+  const warmUp = pickPhase(warmUpPool, {
+    ...common,
+    used: new Set(),
+    phase: 'warm-up',
+    budget: totalBudget * PHASE_SHARE.warmUp,
+    prescriptionFor: () => WARM_UP_PRESCRIPTION,
+    preferCategories: WARM_UP_CATEGORIES
+  });
+
+  // Warm-up should not count towards the main work load
+  Object.keys(muscleLoad).forEach(m => delete muscleLoad[m]);
+
+  const finisherBudget = totalBudget * PHASE_SHARE.finisher;
+  const warmUpTime = warmUp.reduce((sum, pick) => sum + pick.time, 0);
+  const main = pickPhase(pool.filter(candidate => candidate.target.targeted), {
+    ...common,
+    phase: 'main',
+    budget: totalBudget - warmUpTime - finisherBudget,
+    prescriptionFor: exercise => mainPrescription(exercise, params.level),
+    maxLoad: MAX_MUSCLE_LOAD
+  });
+
+  const mainTime = main.reduce((sum, pick) => sum + pick.time, 0);
+  const finisher = pickPhase(pool, {
+    ...common,
+    phase: 'finisher',
+    budget: Math.max(0, totalBudget - warmUpTime - mainTime),
+    prescriptionFor: () => FINISHER_PRESCRIPTION,
+    preferCategories: FINISHER_CATEGORIES,
+    maxLoad: MAX_MUSCLE_LOAD + 1
+  });
+
+  const finisherTime = finisher.reduce((sum, pick) => sum + pick.time, 0);
+  const blocks = [
+    toBlock('Warm-up', warmUp),
+    toBlock('Main', main),
+    toBlock('Finisher', finisher)
+  ].filter(block => block.exercises.length > 0);
+
+  // Report which requested muscles the main work reaches, warm-up and finisher are too light to count
+  const worked = new Set(main.flatMap(pick => [
+    ...(pick.candidate.exercise.primaryMuscles || []),
+    ...(pick.candidate.exercise.secondaryMuscles || [])
+  ]));
+
+  const warnings = [];
+  const estimatedTime = warmUpTime + mainTime + finisherTime;
+  if (estimatedTime < totalBudget * 0.75) {
+    warnings.push('Not enough matching exercises to fill the requested time');
+  }
+  if (main.length === 0) {
+    warnings.push('No exercises match the requested targets with the available equipment');
+  }
+
+  return {
+    seed: params.seed,
+    parameters: params,
+    estimatedTime,
+    blocks,
+    coverage: {
+      covered: params.muscles.filter(m => worked.has(m)),
+      missed: params.muscles.filter(m => !worked.has(m))
+    },
+    muscleLoad,
+    warnings
+  };
+}
+
+module.exports = {
+  generateWorkout,
+  usableEquipment,
+  GeneratorError,
+  LEVELS
+};
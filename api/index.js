@@ -5,29 +5,25 @@
 
 const express = require('express');
 const path = require('path');
-const fs = require('fs');
 const cors = require('cors');
 const compression = require('compression');
+const crypto = require('crypto');
+const store = require('./store');
+const { searchExercises } = require('./search');
+const { generateWorkout, GeneratorError, LEVELS } = require('./generator');
+const { estimateExerciseEnergy, estimateWorkoutEnergy, EnergyError } = require('./energy');
+const { findAlternatives } = require('./alternatives');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const API_VERSION = '1.0';
 const CACHE_DURATION = 60 * 60; // 1 hour in seconds
+const MEDIA_FORMATS = ['objects', 'legacy']; // legacy lists images and videos as URL strings
+const ASSET_CACHE_DURATION = 365 * 24 * 60 * 60; // 1 year in seconds, for content-hashed assets
 
-// Create data directory if it doesn't exist
-const DATA_DIR = path.join(__dirname, 'data');
-if (!fs.existsSync(DATA_DIR)) {
-  fs.mkdirSync(DATA_DIR, { recursive: true });
-}
-
-// Get data version from version.json or generate it if it doesn't exist
-let dataVersion = '1.0.0';
-const versionPath = path.join(DATA_DIR, 'version.json');
-if (fs.existsSync(versionPath)) {
-  dataVersion = JSON.parse(fs.readFileSync(versionPath, 'utf8')).version;
-} else {
-  fs.writeFileSync(versionPath, JSON.stringify({ version: dataVersion }, null, 2));
-}
+// Load exercise data into memory and pick up rebuilds without a restart
+store.loadStore(path.join(__dirname, 'data'));
+store.watchStore();
 
 // Middleware
 app.use(cors());
@@ -37,7 +33,97 @@ app.use(express.json());
 // Set cache headers
 const setCacheHeaders = (res) => {
   res.set('Cache-Control', `public, max-age=${CACHE_DURATION}`);
-  res.set('X-Data-Version', dataVersion);
+  res.set('X-Data-Version', store.getSnapshot().version);
+};
+
+// Turn image and video objects back into bare URLs for older clients
+const legacyMediaReplacer = (key, value) => (
+  (key === 'images' || key === 'videos') && Array.isArray(value)
+    ? value.map(item => (item && typeof item === 'object' ? item.url : item))
+    : value
+);
+
+// Send JSON with validators, answering conditional requests with 304
+const sendCachedJson = (req, res, body) => {
+  // Collect the language of every exercise served, untranslated ones are in English
+  const locales = new Set();
+  const payload = JSON.stringify(body, (key, value) => {
+    if (key === 'locale' && typeof value === 'string') {
+      locales.add(value);
+    }
+    return req.mediaFormat === 'legacy' ? legacyMediaReplacer(key, value) : value;
+  });
+  const hash = crypto.createHash('sha1').update(payload).digest('hex');
+  
+  setCacheHeaders(res);
+  // A list mixing translated and fallback exercises is labelled with both, the requested language first
+  const served = [...locales].sort((a, b) => (b === req.locale) - (a === req.locale));
+  res.set('Content-Language', served.length > 0 ? served.join(', ') : store.getSnapshot(req.locale).locale);
+  res.set('ETag', `"${hash}"`);
+  res.set('Last-Modified', store.getSnapshot().lastModified.toUTCString());
+  
+  // req.fresh checks If-None-Match first, then If-Modified-Since
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+  
+  res.type('json').send(payload);
+};
+
+// Inline exercise data into workout blocks
+const expandWorkout = (workout, data) => ({
+  ...workout,
+  blocks: workout.blocks.map(block => ({
+    ...block,
+    exercises: block.exercises.map(entry => ({
+      ...entry,
+      exercise: data.byId.get(entry.id) || null
+    }))
+  }))
+});
+
+// Summarize an exercise for progression and variation lists
+const summarizeExercise = (exercise, extra = {}) => ({
+  id: exercise.id,
+  name: exercise.name,
+  difficulty: exercise.difficulty,
+  ...extra
+});
+
+// Describe a filter value with the exercises it matches
+const describeIndexEntry = (entry, exercises, extra = {}) => ({
+  id: entry.id,
+  name: entry.name,
+  ...extra,
+  count: exercises.length,
+  exercises: exercises.map(exercise => summarizeExercise(exercise))
+});
+
+// Walk the progression graph in one direction, nearest exercises first
+const walkProgressions = (data, id, direction) => {
+  const visited = new Set([id]);
+  const result = [];
+  let frontier = [id];
+  let distance = 0;
+  
+  while (frontier.length > 0) {
+    distance++;
+    const next = [];
+    
+    frontier.forEach(current => {
+      const node = data.progressions[current];
+      (node ? node[direction] : []).forEach(linked => {
+        if (visited.has(linked) || !data.byId.has(linked)) return;
+        visited.add(linked);
+        next.push(linked);
+        result.push(summarizeExercise(data.byId.get(linked), { distance }));
+      });
+    });
+    
+    frontier = next;
+  }
+  
+  return result;
 };
 
 // Error handler
@@ -46,7 +132,13 @@ const errorHandler = (res, error, message = 'Server error') => {
   res.status(500).json({ error: message });
 };
 
-// Serve static assets with caching
+// Serve built assets forever, their names change with their content
+app.use('/assets', express.static(path.join(__dirname, '..', 'dist', 'assets'), {
+  immutable: true,
+  maxAge: ASSET_CACHE_DURATION * 1000
+}));
+
+// Serve original assets that have no built copy with caching
 app.use('/assets', (req, res, next) => {
   res.set('Cache-Control', `public, max-age=${CACHE_DURATION * 24}`); // 24 hours for assets
   next();
@@ -55,53 +147,126 @@ app.use('/assets', (req, res, next) => {
 // API version prefix
 const apiRoute = '/api/v1';
 
+// Negotiate the content language from ?lang= or Accept-Language, falling back to English
+app.use(apiRoute, (req, res, next) => {
+  const { locales } = store.getSnapshot();
+  const requested = typeof req.query.lang === 'string' ? req.query.lang.toLowerCase() : null;
+  
+  if (requested && locales.includes(requested)) {
+    req.locale = requested;
+  } else {
+    req.locale = (!requested && req.acceptsLanguages(...locales)) || locales[0];
+  }
+  
+  res.vary('Accept-Language');
+  next();
+});
+
+// Pick how images and videos are returned with ?mediaFormat=
+app.use(apiRoute, (req, res, next) => {
+  const mediaFormat = req.query.mediaFormat || MEDIA_FORMATS[0];
+  
+  if (!MEDIA_FORMATS.includes(mediaFormat)) {
+    return res.status(400).json({ error: `mediaFormat must be one of: ${MEDIA_FORMATS.join(', ')}` });
+  }
+  
+  req.mediaFormat = mediaFormat;
+  next();
+});
+
 // Get data version
 app.get(`${apiRoute}/version`, (req, res) => {
-  setCacheHeaders(res);
-  res.json({ version: dataVersion, apiVersion: API_VERSION });
+  const { version, changeType, locales } = store.getSnapshot();
+  sendCachedJson(req, res, {
+    version,
+    apiVersion: API_VERSION,
+    changeType,
+    fullResyncRequired: changeType === 'major',
+    locales
+  });
 });
 
-// Get all exercises with pagination
-app.get(`${apiRoute}/exercises`, (req, res) => {
+// Get exercises changed since a given data version (delta sync)
+app.get(`${apiRoute}/changes`, (req, res) => {
   try {
-    const filePath = path.join(DATA_DIR, 'exercises.json');
+    const { since } = req.query;
+    const data = store.getSnapshot(req.locale);
     
-    if (!fs.existsSync(filePath)) {
-      return res.status(404).json({ error: 'No exercise data found. Run the conversion script first.' });
+    if (!since) {
+      return res.status(400).json({ error: 'since parameter is required' });
     }
     
-    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-    let { exercises } = data;
-    
-    // Apply filters
-    if (req.query.category) {
-      exercises = exercises.filter(ex => ex.category === req.query.category);
+    // Client is already up to date
+    if (since === data.version) {
+      return sendCachedJson(req, res, { since, version: data.version, fullResync: false, upserted: [], deleted: [] });
     }
     
-    if (req.query.difficulty) {
-      exercises = exercises.filter(ex => ex.difficulty === req.query.difficulty);
+    // Find the first build after the client's version
+    const entries = data.changelog;
+    const startIndex = entries.findIndex(entry => entry.previousVersion === since);
+    
+    if (startIndex === -1) {
+      return sendCachedJson(req, res, {
+        since,
+        version: data.version,
+        fullResync: true,
+        reason: 'Version is unknown or older than the available change history'
+      });
     }
     
-    if (req.query.equipment) {
-      exercises = exercises.filter(ex => 
-        ex.equipment && ex.equipment.includes(req.query.equipment)
-      );
+    // Removed fields cannot be expressed as upserts, start over after a major change
+    if (entries.slice(startIndex).some(entry => entry.changeType === 'major')) {
+      return sendCachedJson(req, res, {
+        since,
+        version: data.version,
+        fullResync: true,
+        reason: 'The data changed incompatibly since this version'
+      });
     }
-
-    if (req.query.muscle) {
-      exercises = exercises.filter(ex => 
-        (ex.primaryMuscles && ex.primaryMuscles.includes(req.query.muscle)) ||
-        (ex.secondaryMuscles && ex.secondaryMuscles.includes(req.query.muscle))
-      );
+    
+    // Replay changes in order so the latest state of each exercise wins
+    const changed = new Map();
+    entries.slice(startIndex).forEach(entry => {
+      [...entry.added, ...entry.modified].forEach(id => changed.set(id, 'upsert'));
+      entry.removed.forEach(id => changed.set(id, 'delete'));
+    });
+    
+    const upserted = [];
+    const deleted = [];
+    
+    for (const [id, change] of changed) {
+      // Exercises that failed validation are no longer served
+      if (change === 'upsert' && data.byId.has(id)) {
+        upserted.push(data.byId.get(id));
+      } else {
+        deleted.push(id);
+      }
     }
+    
+    sendCachedJson(req, res, { since, version: data.version, fullResync: false, upserted, deleted });
+  } catch (error) {
+    errorHandler(res, error, 'Error retrieving changes');
+  }
+});
 
-    if (req.query.tags) {
-      const tags = req.query.tags.split(',');
-      exercises = exercises.filter(ex => 
-        ex.tags && tags.some(tag => ex.tags.includes(tag))
-      );
+// Get all exercises with pagination
+app.get(`${apiRoute}/exercises`, (req, res) => {
+  try {
+    const data = store.getSnapshot(req.locale);
+    
+    if (!data.available) {
+      return res.status(404).json({ error: 'No exercise data found. Run the conversion script first.' });
     }
     
+    // Apply filters
+    const exercises = store.findExercises(data, {
+      category: req.query.category,
+      difficulty: req.query.difficulty,
+      equipment: req.query.equipment,
+      muscle: req.query.muscle,
+      tags: req.query.tags ? req.query.tags.split(',') : []
+    });
+    
     // Pagination
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
@@ -117,7 +282,7 @@ app.get(`${apiRoute}/exercises`, (req, res) => {
         page,
         limit,
         pages: Math.ceil(exercises.length / limit),
-        version: dataVersion
+        version: data.version
       },
       exercises: paginatedExercises
     };
@@ -136,23 +301,49 @@ app.get(`${apiRoute}/exercises`, (req, res) => {
       });
     }
     
-    setCacheHeaders(res);
-    res.json(response);
+    sendCachedJson(req, res, response);
   } catch (error) {
     errorHandler(res, error, 'Error retrieving exercises');
   }
 });
 
+// Batch route is registered before :id so "batch" is not taken as an ID
+// Batch get multiple exercises by IDs
+app.get(`${apiRoute}/exercises/batch`, (req, res) => {
+  try {
+    if (!req.query.ids) {
+      return res.status(400).json({ error: 'IDs parameter is required' });
+    }
+    
+    const data = store.getSnapshot(req.locale);
+    const exercises = req.query.ids.split(',')
+      .filter(id => data.byId.has(id))
+      .map(id => data.byId.get(id));
+    
+    sendCachedJson(req, res, { exercises });
+  } catch (error) {
+    errorHandler(res, error, 'Error retrieving exercises batch');
+  }
+});
+
 // Get specific exercise by ID
 app.get(`${apiRoute}/exercises/:id`, (req, res) => {
   try {
-    const filePath = path.join(DATA_DIR, `${req.params.id}.json`);
+    const { level } = req.query;
+    let exercise = store.getSnapshot(req.locale).byId.get(req.params.id);
     
-    if (!fs.existsSync(filePath)) {
+    if (!exercise) {
       return res.status(404).json({ error: 'Exercise not found' });
     }
     
-    const exercise = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    // Prescription for the user's level
+    if (level !== undefined) {
+      if (!LEVELS.includes(level)) {
+        return res.status(400).json({ error: `level must be one of: ${LEVELS.join(', ')}` });
+      }
+      
+      exercise = { ...exercise, prescription: (exercise.prescriptions || {})[level] || null };
+    }
     
     // Field selection
     if (req.query.fields) {
@@ -165,39 +356,96 @@ app.get(`${apiRoute}/exercises/:id`, (req, res) => {
         }
       });
       
-      setCacheHeaders(res);
-      return res.json(filtered);
+      return sendCachedJson(req, res, filtered);
     }
     
-    setCacheHeaders(res);
-    res.json(exercise);
+    sendCachedJson(req, res, exercise);
   } catch (error) {
     errorHandler(res, error, 'Error retrieving exercise');
   }
 });
 
-// Batch get multiple exercises by IDs
-app.get(`${apiRoute}/exercises/batch`, (req, res) => {
+// Get the easier and harder exercises around an exercise
+app.get(`${apiRoute}/exercises/:id/progressions`, (req, res) => {
   try {
-    if (!req.query.ids) {
-      return res.status(400).json({ error: 'IDs parameter is required' });
+    const data = store.getSnapshot(req.locale);
+    const exercise = data.byId.get(req.params.id);
+    
+    if (!exercise) {
+      return res.status(404).json({ error: 'Exercise not found' });
     }
     
-    const ids = req.query.ids.split(',');
-    const exercises = [];
+    const node = data.progressions[exercise.id] || { variationOf: null, variations: [] };
+    const easier = walkProgressions(data, exercise.id, 'easier');
+    const harder = walkProgressions(data, exercise.id, 'harder');
+    const parent = node.variationOf && data.byId.get(node.variationOf);
+    
+    sendCachedJson(req, res, {
+      id: exercise.id,
+      easier,
+      harder,
+      // Easiest to hardest, passing through this exercise
+      ladder: [
+        ...[...easier].reverse(),
+        summarizeExercise(exercise, { distance: 0 }),
+        ...harder
+      ],
+      variationOf: parent ? summarizeExercise(parent) : null,
+      variations: node.variations
+        .filter(id => data.byId.has(id))
+        .map(id => summarizeExercise(data.byId.get(id)))
+    });
+  } catch (error) {
+    errorHandler(res, error, 'Error retrieving progressions');
+  }
+});
+
+// Get ranked substitutes for an exercise
+app.get(`${apiRoute}/exercises/:id/alternatives`, (req, res) => {
+  try {
+    const data = store.getSnapshot(req.locale);
+    const exercise = data.byId.get(req.params.id);
     
-    for (const id of ids) {
-      const filePath = path.join(DATA_DIR, `${id}.json`);
-      
-      if (fs.existsSync(filePath)) {
-        exercises.push(JSON.parse(fs.readFileSync(filePath, 'utf8')));
-      }
+    if (!exercise) {
+      return res.status(404).json({ error: 'Exercise not found' });
     }
     
-    setCacheHeaders(res);
-    res.json({ exercises });
+    const equipment = req.query.equipment ? req.query.equipment.split(',') : undefined;
+    const limit = parseInt(req.query.limit) || 10;
+    const alternatives = findAlternatives(exercise, data.exercises, equipment).slice(0, limit);
+    
+    sendCachedJson(req, res, {
+      id: exercise.id,
+      alternatives: alternatives.map(({ exercise: alternative, score, breakdown, equipment: usable }) => ({
+        id: alternative.id,
+        name: alternative.name,
+        category: alternative.category,
+        difficulty: alternative.difficulty,
+        equipment: usable,
+        score,
+        breakdown
+      }))
+    });
   } catch (error) {
-    errorHandler(res, error, 'Error retrieving exercises batch');
+    errorHandler(res, error, 'Error retrieving alternatives');
+  }
+});
+
+// Estimate the calories burned by an exercise
+app.get(`${apiRoute}/exercises/:id/energy`, (req, res) => {
+  try {
+    const exercise = store.getSnapshot(req.locale).byId.get(req.params.id);
+    
+    if (!exercise) {
+      return res.status(404).json({ error: 'Exercise not found' });
+    }
+    
+    sendCachedJson(req, res, estimateExerciseEnergy(exercise, req.query));
+  } catch (error) {
+    if (error instanceof EnergyError) {
+      return res.status(400).json({ error: error.message });
+    }
+    errorHandler(res, error, 'Error estimating energy');
   }
 });
 
@@ -210,48 +458,21 @@ app.get(`${apiRoute}/search`, (req, res) => {
       return res.status(400).json({ error: 'At least one search parameter is required' });
     }
     
-    const filePath = path.join(DATA_DIR, 'exercises.json');
+    const data = store.getSnapshot(req.locale);
     
-    if (!fs.existsSync(filePath)) {
+    if (!data.available) {
       return res.status(404).json({ error: 'No exercise data found' });
     }
     
-    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-    let results = [...data.exercises];
+    // Category, difficulty, equipment and muscle filters
+    let results = store.findExercises(data, { category, difficulty, equipment, muscle });
     
-    // Text search
+    // Ranked text search, results carry their score and highlighted matches
     if (query) {
-      const searchQuery = query.toLowerCase();
-      results = results.filter(ex => 
-        ex.name.toLowerCase().includes(searchQuery) ||
-        (ex.description && ex.description.toLowerCase().includes(searchQuery)) ||
-        (ex.tags && ex.tags.some(tag => tag.toLowerCase().includes(searchQuery)))
-      );
-    }
-    
-    // Category filter
-    if (category) {
-      results = results.filter(ex => ex.category === category);
-    }
-    
-    // Difficulty filter
-    if (difficulty) {
-      results = results.filter(ex => ex.difficulty === difficulty);
-    }
-    
-    // Equipment filter
-    if (equipment) {
-      results = results.filter(ex => 
-        ex.equipment && ex.equipment.includes(equipment)
-      );
-    }
-    
-    // Muscle filter
-    if (muscle) {
-      results = results.filter(ex => 
-        (ex.primaryMuscles && ex.primaryMuscles.includes(muscle)) ||
-        (ex.secondaryMuscles && ex.secondaryMuscles.includes(muscle))
-      );
+      results = searchExercises(data.searchIndex, query, results).map(({ exercise, score, highlights }) => ({
+        ...exercise,
+        search: { score, highlights }
+      }));
     }
     
     // Pagination
@@ -262,8 +483,7 @@ app.get(`${apiRoute}/search`, (req, res) => {
     
     const paginatedResults = results.slice(startIndex, endIndex);
     
-    setCacheHeaders(res);
-    res.json({
+    sendCachedJson(req, res, {
       metadata: {
         total: results.length,
         page,
@@ -280,16 +500,17 @@ app.get(`${apiRoute}/search`, (req, res) => {
 // Get exercise categories
 app.get(`${apiRoute}/categories`, (req, res) => {
   try {
-    const categories = [
-      { id: 'upper-body', name: 'Upper Body' },
-      { id: 'lower-body', name: 'Lower Body' },
-      { id: 'core', name: 'Core' },
-      { id: 'cardio', name: 'Cardio' },
-      { id: 'flexibility', name: 'Flexibility' }
-    ];
-    
-    setCacheHeaders(res);
-    res.json({ categories });
+    const data = store.getSnapshot(req.locale);
+    
+    if (!data.available) {
+      return res.status(404).json({ error: 'No exercise data found' });
+    }
+    
+    const categories = data.categories.map(category =>
+      describeIndexEntry(category, data.byCategory.get(category.id) || [])
+    );
+    
+    sendCachedJson(req, res, { categories });
   } catch (error) {
     errorHandler(res, error, 'Error retrieving categories');
   }
@@ -298,31 +519,217 @@ app.get(`${apiRoute}/categories`, (req, res) => {
 // Get all muscles
 app.get(`${apiRoute}/muscles`, (req, res) => {
   try {
-    const filePath = path.join(DATA_DIR, 'exercises.json');
+    const data = store.getSnapshot(req.locale);
+    
+    if (!data.available) {
+      return res.status(404).json({ error: 'No exercise data found' });
+    }
+    
+    // Count exercises working each muscle as primary or secondary
+    const countExercises = ids => new Set(ids.flatMap(id => data.byMuscle.get(id) || [])).size;
+    
+    const groups = data.muscleGroups.map(group => ({
+      id: group.id,
+      name: group.name,
+      count: countExercises(group.muscles),
+      muscles: data.muscles
+        .filter(muscle => muscle.group === group.id)
+        .map(muscle => ({
+          id: muscle.id,
+          name: muscle.name,
+          aliases: muscle.aliases,
+          count: countExercises([muscle.id])
+        }))
+    }));
+    
+    sendCachedJson(req, res, { groups });
+  } catch (error) {
+    errorHandler(res, error, 'Error retrieving muscles');
+  }
+});
+
+// Get a muscle or muscle group with the exercises working it
+app.get(`${apiRoute}/muscles/:id`, (req, res) => {
+  try {
+    const data = store.getSnapshot(req.locale);
     
-    if (!fs.existsSync(filePath)) {
+    if (!data.available) {
       return res.status(404).json({ error: 'No exercise data found' });
     }
     
-    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-    const muscleSet = new Set();
+    const group = data.muscleGroups.find(g => g.id === req.params.id);
+    const [muscleId] = store.resolveMuscles(data, [req.params.id]);
+    const muscle = group ? null : data.muscles.find(m => m.id === muscleId);
     
-    data.exercises.forEach(exercise => {
-      if (exercise.primaryMuscles) {
-        exercise.primaryMuscles.forEach(muscle => muscleSet.add(muscle));
-      }
-      
-      if (exercise.secondaryMuscles) {
-        exercise.secondaryMuscles.forEach(muscle => muscleSet.add(muscle));
-      }
+    if (!group && !muscle) {
+      return res.status(404).json({ error: 'Muscle not found' });
+    }
+    
+    const muscleIds = group ? group.muscles : [muscle.id];
+    const worked = new Set(muscleIds.flatMap(id => data.byMuscle.get(id) || []));
+    const exercises = data.exercises.filter(exercise => worked.has(exercise));
+    const extra = group
+      ? { type: 'group', muscles: group.muscles }
+      : { type: 'muscle', group: muscle.group, aliases: muscle.aliases };
+    
+    const result = describeIndexEntry(group || muscle, exercises, extra);
+    
+    // Mark whether each exercise works the muscle as a primary mover
+    result.exercises.forEach((summary, index) => {
+      summary.isPrimary = exercises[index].primaryMuscles.some(id => muscleIds.includes(id));
     });
     
-    const muscles = Array.from(muscleSet).sort();
+    sendCachedJson(req, res, result);
+  } catch (error) {
+    errorHandler(res, error, 'Error retrieving muscle');
+  }
+});
+
+// Get all equipment
+app.get(`${apiRoute}/equipment`, (req, res) => {
+  try {
+    const data = store.getSnapshot(req.locale);
+    
+    if (!data.available) {
+      return res.status(404).json({ error: 'No exercise data found' });
+    }
+    
+    const equipment = data.equipment.map(item =>
+      describeIndexEntry(item, data.byEquipment.get(item.id) || [])
+    );
     
-    setCacheHeaders(res);
-    res.json({ muscles });
+    sendCachedJson(req, res, { equipment });
   } catch (error) {
-    errorHandler(res, error, 'Error retrieving muscles');
+    errorHandler(res, error, 'Error retrieving equipment');
+  }
+});
+
+// Get a piece of equipment with the exercises using it
+app.get(`${apiRoute}/equipment/:id`, (req, res) => {
+  try {
+    const data = store.getSnapshot(req.locale);
+    
+    if (!data.available) {
+      return res.status(404).json({ error: 'No exercise data found' });
+    }
+    
+    const item = data.equipment.find(eq => eq.id === req.params.id);
+    
+    if (!item) {
+      return res.status(404).json({ error: 'Equipment not found' });
+    }
+    
+    sendCachedJson(req, res, describeIndexEntry(item, data.byEquipment.get(item.id) || []));
+  } catch (error) {
+    errorHandler(res, error, 'Error retrieving equipment');
+  }
+});
+
+// Get all workouts with pagination
+app.get(`${apiRoute}/workouts`, (req, res) => {
+  try {
+    const data = store.getSnapshot(req.locale);
+    let { workouts } = data;
+    
+    // Apply filters
+    if (req.query.difficulty) {
+      workouts = workouts.filter(workout => workout.difficulty === req.query.difficulty);
+    }
+    
+    if (req.query.tags) {
+      const tags = req.query.tags.split(',');
+      workouts = workouts.filter(workout => 
+        workout.tags && tags.some(tag => workout.tags.includes(tag))
+      );
+    }
+    
+    if (req.query.exercise) {
+      workouts = workouts.filter(workout => workout.exerciseIds.includes(req.query.exercise));
+    }
+    
+    // Pagination
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const startIndex = (page - 1) * limit;
+    const endIndex = page * limit;
+    
+    let paginatedWorkouts = workouts.slice(startIndex, endIndex);
+    
+    if (req.query.expand === 'exercises') {
+      paginatedWorkouts = paginatedWorkouts.map(workout => expandWorkout(workout, data));
+    }
+    
+    sendCachedJson(req, res, {
+      metadata: {
+        total: workouts.length,
+        page,
+        limit,
+        pages: Math.ceil(workouts.length / limit),
+        version: data.version
+      },
+      workouts: paginatedWorkouts
+    });
+  } catch (error) {
+    errorHandler(res, error, 'Error retrieving workouts');
+  }
+});
+
+// Get specific workout by ID
+app.get(`${apiRoute}/workouts/:id`, (req, res) => {
+  try {
+    const data = store.getSnapshot(req.locale);
+    const workout = data.workoutsById.get(req.params.id);
+    
+    if (!workout) {
+      return res.status(404).json({ error: 'Workout not found' });
+    }
+    
+    sendCachedJson(req, res, req.query.expand === 'exercises' ? expandWorkout(workout, data) : workout);
+  } catch (error) {
+    errorHandler(res, error, 'Error retrieving workout');
+  }
+});
+
+// Estimate the calories burned by a workout
+app.get(`${apiRoute}/workouts/:id/energy`, (req, res) => {
+  try {
+    const data = store.getSnapshot(req.locale);
+    const workout = data.workoutsById.get(req.params.id);
+    
+    if (!workout) {
+      return res.status(404).json({ error: 'Workout not found' });
+    }
+    
+    sendCachedJson(req, res, estimateWorkoutEnergy(workout, data.byId, req.query));
+  } catch (error) {
+    if (error instanceof EnergyError) {
+      return res.status(400).json({ error: error.message });
+    }
+    errorHandler(res, error, 'Error estimating energy');
+  }
+});
+
+// Generate a workout from the user's equipment, time, targets and level
+app.post(`${apiRoute}/generate-workout`, (req, res) => {
+  try {
+    const data = store.getSnapshot(req.locale);
+    
+    if (!data.available) {
+      return res.status(404).json({ error: 'No exercise data found' });
+    }
+    
+    res.set('X-Data-Version', data.version);
+    // Target muscles may be given as groups or aliases
+    const params = Array.isArray(req.body.muscles)
+      ? { ...req.body, muscles: store.resolveMuscles(data, req.body.muscles) }
+      : req.body;
+    
+    res.json(generateWorkout(data.exercises, params));
+  } catch (error) {
+    if (error instanceof GeneratorError) {
+      return res.status(400).json({ error: error.message });
+    }
+    errorHandler(res, error, 'Error generating workout');
   }
 });
 
@@ -331,16 +738,27 @@ app.get('/', (req, res) => {
   res.json({
     name: 'Workout Exercises API',
     version: API_VERSION,
-    dataVersion: dataVersion,
+    dataVersion: store.getSnapshot().version,
     documentation: 'https://github.com/yourusername/WO-App-Exercises/blob/main/api/README.md',
     endpoints: [
       { path: `${apiRoute}/version`, description: 'Get API and data version information' },
+      { path: `${apiRoute}/changes`, description: 'Get exercises changed since a data version' },
       { path: `${apiRoute}/exercises`, description: 'Get all exercises with filtering and pagination' },
       { path: `${apiRoute}/exercises/:id`, description: 'Get a specific exercise by ID' },
       { path: `${apiRoute}/exercises/batch`, description: 'Get multiple exercises by IDs' },
+      { path: `${apiRoute}/exercises/:id/progressions`, description: 'Get easier and harder exercises to progress through' },
+      { path: `${apiRoute}/exercises/:id/alternatives`, description: 'Get ranked substitutes for an exercise' },
+      { path: `${apiRoute}/exercises/:id/energy`, description: 'Estimate the calories burned by an exercise' },
       { path: `${apiRoute}/search`, description: 'Search exercises with multiple criteria' },
-      { path: `${apiRoute}/categories`, description: 'Get all exercise categories' },
-      { path: `${apiRoute}/muscles`, description: 'Get all muscles targeted by exercises' }
+      { path: `${apiRoute}/categories`, description: 'Get exercise categories with their exercises' },
+      { path: `${apiRoute}/muscles`, description: 'Get muscle groups and muscles with exercise counts' },
+      { path: `${apiRoute}/muscles/:id`, description: 'Get a muscle or muscle group with its exercises' },
+      { path: `${apiRoute}/equipment`, description: 'Get all equipment with its exercises' },
+      { path: `${apiRoute}/equipment/:id`, description: 'Get a piece of equipment with its exercises' },
+      { path: `${apiRoute}/workouts`, description: 'Get all workouts with filtering and pagination' },
+      { path: `${apiRoute}/workouts/:id`, description: 'Get a specific workout by ID' },
+      { path: `${apiRoute}/workouts/:id/energy`, description: 'Estimate the calories burned by a workout' },
+      { path: `${apiRoute}/generate-workout`, method: 'POST', description: 'Generate a workout for the available equipment, time and targets' }
     ]
   });
 });
@@ -0,0 +1,394 @@
+/**
+ * Full-text search index for exercises
+ *
+ * Tokenizes and stems exercise text into a weighted inverted index, then
+ * ranks matches with typo tolerance and highlighted snippets.
+ */
+
+// Relative importance of each searchable field
+const FIELD_WEIGHTS = {
+  name: 10,
+  aliases: 8,
+  tags: 5,
+  description: 3,
+  instructions: 1,
+  tips: 1
+};
+
+const PREFIX_FACTOR = 0.8; // Partial words while typing
+const FUZZY_FACTOR = 0.6; // Per edit, applied to misspelled words
+const SNIPPET_RADIUS = 60; // Characters of context around a match
+const HIGHLIGHT_START = '<mark>';
+const HIGHLIGHT_END = '</mark>';
+
+const WORD_GROUP_REGEX = /[a-z0-9]+(?:-[a-z0-9]+)*/gi;
+const HIGHLIGHT_REGEX = /([a-z0-9]+(?:-[a-z0-9]+)*)|[&<>"']/gi; // Word groups and characters to escape
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+// Common words that would match nearly every exercise
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'do', 'for', 'from', 'how', 'in', 'into',
+  'is', 'it', 'its', 'of', 'on', 'or', 'so', 'that', 'the', 'then', 'this', 'to', 'up',
+  'was', 'while', 'with', 'you', 'your'
+]);
+
+/**
+ * Reduce an English word to its stem with a few suffix rules
+ * @param {string} word - Lowercase word
+ * @returns {string} Stemmed word
+ */
+function stem(word) {
+  if (word.length <= 2) {
+    return word;
+  }
+
+  if (word.endsWith('ies') && word.length > 4) {
+    return `${word.slice(0, -3)}y`;
+  }
+
+  if (word.endsWith('sses')) {
+    return word.slice(0, -2);
+  }
+
+  if (/(ch|sh|x|z|ss)es$/.test(word)) {
+    return word.slice(0, -2);
+  }
+
+  if (word.endsWith('s') && !/(ss|us|is)$/.test(word)) {
+    return word.slice(0, -1);
+  }
+
+  const suffix = ['ing', 'ed'].find(s => word.endsWith(s) && word.length - s.length >= 3);
+  if (suffix) {
+    const base = word.slice(0, -suffix.length);
+
+    // "stepping" -> "step"
+    if (/([b-df-hj-np-tv-z])\1$/.test(base) && !/(ll|ss|zz)$/.test(base)) {
+      return base.slice(0, -1);
+    }
+    return base;
+  }
+
+  return word;
+}
+
+/**
+ * Split text into stemmed search terms
+ * Hyphenated words also yield a joined term so "push-up" matches "pushup".
+ * Stopwords are left out, except as part of a joined term.
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Search terms
+ */
+function tokenize(text) {
+  const terms = [];
+  const groups = String(text || '').toLowerCase().match(WORD_GROUP_REGEX) || [];
+
+  groups.forEach(group => {
+    const parts = group.split('-');
+    parts.filter(part => !STOPWORDS.has(part)).forEach(part => terms.push(stem(part)));
+
+    if (parts.length > 1) {
+      terms.push(stem(parts.join('')));
+    }
+  });
+
+  return terms;
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein plus transpositions)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} max - Stop once the distance exceeds this value
+ * @returns {number} Edit distance, or max + 1 when exceeded
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+
+      current[j] = value;
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > max) {
+      return max + 1;
+    }
+
+    prevPrev = prev;
+    prev = current;
+  }
+
+  return prev[b.length];
+}
+
+/**
+ * Number of typos tolerated for a search term
+ * @param {string} term - Search term
+ * @returns {number} Maximum edit distance
+ */
+function allowedTypos(term) {
+  if (term.length >= 8) return 2;
+  if (term.length >= 4) return 1;
+  return 0;
+}
+
+/**
+ * Get the text of a searchable field as a list of entries
+ * @param {Object} exercise - Exercise data
+ * @param {string} field - Field name
+ * @returns {Array<string>} Field entries
+ */
+function getFieldEntries(exercise, field) {
+  const value = exercise[field];
+
+  if (Array.isArray(value)) {
+    return value.map(String);
+  }
+
+  return value ? [String(value)] : [];
+}
+
+/**
+ * Build a weighted inverted index over exercises
+ * @param {Array} exercises - All exercises
+ * @returns {Object} Search index
+ */
+function buildSearchIndex(exercises) {
+  // term -> Map(document index -> { weight, fields })
+  const postings = new Map();
+
+  exercises.forEach((exercise, docIndex) => {
+    Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+      getFieldEntries(exercise, field).forEach(entry => {
+        tokenize(entry).forEach(term => {
+          if (!postings.has(term)) {
+            postings.set(term, new Map());
+          }
+
+          const docs = postings.get(term);
+          if (!docs.has(docIndex)) {
+            docs.set(docIndex, { weight: 0, fields: new Set() });
+          }
+
+          const posting = docs.get(docIndex);
+
+          // Count each field once so long texts do not drown out the name
+          if (!posting.fields.has(field)) {
+            posting.fields.add(field);
+            posting.weight += weight;
+          }
+        });
+      });
+    });
+  });
+
+  return {
+    exercises,
+    postings,
+    terms: Array.from(postings.keys())
+  };
+}
+
+/**
+ * Find index terms matching a query term, exactly, by prefix or with typos
+ * @param {Object} index - Search index
+ * @param {string} queryTerm - Stemmed query term
+ * @param {boolean} allowPrefix - Whether partial words may match
+ * @returns {Array<Object>} Matching terms with a score factor
+ */
+function expandTerm(index, queryTerm, allowPrefix) {
+  if (index.postings.has(queryTerm)) {
+    return [{ term: queryTerm, factor: 1 }];
+  }
+
+  const matches = [];
+  const maxTypos = allowedTypos(queryTerm);
+
+  index.terms.forEach(term => {
+    if (allowPrefix && queryTerm.length >= 2 && term.startsWith(queryTerm)) {
+      matches.push({ term, factor: PREFIX_FACTOR });
+      return;
+    }
+
+    if (maxTypos > 0) {
+      const distance = editDistance(queryTerm, term, maxTypos);
+      if (distance <= maxTypos) {
+        matches.push({ term, factor: Math.pow(FUZZY_FACTOR, distance) });
+      }
+    }
+  });
+
+  return matches;
+}
+
+/**
+ * Wrap words of a text that match any of the given terms
+ * The rest of the text is HTML-escaped so only the highlight tags are markup.
+ * @param {string} text - Original text
+ * @param {Set<string>} terms - Matched index terms
+ * @returns {Object} Highlighted HTML and the offset of the first match
+ */
+function highlightText(text, terms) {
+  let firstMatch = -1;
+
+  const highlighted = text.replace(HIGHLIGHT_REGEX, (match, group, offset) => {
+    if (!group) {
+      return HTML_ESCAPES[match];
+    }
+
+    if (!tokenize(group).some(term => terms.has(term))) {
+      return group;
+    }
+
+    if (firstMatch === -1) {
+      firstMatch = offset;
+    }
+    return `${HIGHLIGHT_START}${group}${HIGHLIGHT_END}`;
+  });
+
+  return { highlighted, firstMatch };
+}
+
+/**
+ * Cut a snippet around the first match of a long text
+ * @param {string} text - Original text
+ * @param {Set<string>} terms - Matched index terms
+ * @returns {string|null} Highlighted snippet, or null without a match
+ */
+function buildSnippet(text, terms) {
+  const { firstMatch } = highlightText(text, terms);
+
+  if (firstMatch === -1) {
+    return null;
+  }
+
+  const start = Math.max(0, text.lastIndexOf(' ', Math.max(0, firstMatch - SNIPPET_RADIUS)) + 1);
+  const endSpace = text.indexOf(' ', firstMatch + SNIPPET_RADIUS);
+  const end = endSpace === -1 ? text.length : endSpace;
+  const snippet = highlightText(text.slice(start, end), terms).highlighted;
+
+  return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * Build highlighted snippets for the fields an exercise matched on
+ * @param {Object} exercise - Exercise data
+ * @param {Object} matchedFields - Field name -> Set of matched terms
+ * @returns {Object} Field name -> highlighted snippet
+ */
+function buildHighlights(exercise, matchedFields) {
+  const highlights = {};
+
+  Object.keys(FIELD_WEIGHTS).forEach(field => {
+    const terms = matchedFields[field];
+    if (!terms) {
+      return;
+    }
+
+    for (const entry of getFieldEntries(exercise, field)) {
+      const snippet = buildSnippet(entry, terms);
+      if (snippet) {
+        highlights[field] = snippet;
+        break;
+      }
+    }
+  });
+
+  return highlights;
+}
+
+/**
+ * Rank exercises against a text query
+ * @param {Object} index - Search index
+ * @param {string} query - User query
+ * @param {Array} [candidates] - Restrict results to these exercises
+ * @returns {Array<Object>} Results sorted by score: { exercise, score, highlights }
+ */
+function searchExercises(index, query, candidates) {
+  const queryTerms = [...new Set(tokenize(query))];
+  const allowed = candidates ? new Set(candidates) : null;
+  const totalDocs = index.exercises.length;
+  const results = new Map();
+
+  queryTerms.forEach((queryTerm, position) => {
+    // Only the last word may be incomplete while typing
+    const allowPrefix = position === queryTerms.length - 1;
+
+    // Best score per document for this query term
+    const best = new Map();
+
+    expandTerm(index, queryTerm, allowPrefix).forEach(({ term, factor }) => {
+      const docs = index.postings.get(term);
+      const idf = Math.log(1 + totalDocs / docs.size);
+
+      docs.forEach((posting, docIndex) => {
+        const score = posting.weight * idf * factor;
+        const current = best.get(docIndex);
+
+        if (!current || score > current.score) {
+          best.set(docIndex, { score, term, fields: posting.fields });
+        }
+      });
+    });
+
+    best.forEach(({ score, term, fields }, docIndex) => {
+      const exercise = index.exercises[docIndex];
+      if (allowed && !allowed.has(exercise)) {
+        return;
+      }
+
+      if (!results.has(docIndex)) {
+        results.set(docIndex, { exercise, score: 0, matched: 0, matchedFields: {} });
+      }
+
+      const result = results.get(docIndex);
+      result.score += score;
+      result.matched++;
+      fields.forEach(field => {
+        result.matchedFields[field] = result.matchedFields[field] || new Set();
+        result.matchedFields[field].add(term);
+      });
+    });
+  });
+
+  return Array.from(results.values())
+    .map(result => ({
+      exercise: result.exercise,
+      // Favour exercises that match more of the query words
+      score: Math.round(result.score * (result.matched / queryTerms.length) * 1000) / 1000,
+      highlights: buildHighlights(result.exercise, result.matchedFields)
+    }))
+    .sort((a, b) => b.score - a.score || a.exercise.name.localeCompare(b.exercise.name));
+}
+
+module.exports = {
+  buildSearchIndex,
+  searchExercises,
+  tokenize,
+  stem,
+  editDistance,
+  highlightText
+};
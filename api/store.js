@@ -0,0 +1,302 @@
+/**
+ * In-memory exercise data store
+ *
+ * Loads the generated JSON data once, builds lookup indexes and swaps in a
+ * fresh dataset whenever the build script writes a new version.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { buildSearchIndex } = require('./search');
+
+const DEFAULT_VERSION = '1.0.0';
+const DEFAULT_LOCALE = 'en';
+const RELOAD_DELAY = 250; // Wait for the build to finish writing (ms)
+
+let dataDir = path.join(__dirname, 'data');
+let snapshot = null;
+let watcher = null;
+let reloadTimer = null;
+
+/**
+ * Read a JSON file from the data directory
+ * @param {string} filename - File name relative to the data directory
+ * @param {*} fallback - Value returned when the file does not exist
+ * @returns {*} Parsed JSON
+ */
+function readDataFile(filename, fallback) {
+  const filePath = path.join(dataDir, filename);
+
+  if (!fs.existsSync(filePath)) {
+    return fallback;
+  }
+
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Add an exercise to a keyed index
+ * @param {Map} index - Index to update
+ * @param {Array<string>} keys - Keys the exercise is listed under
+ * @param {Object} exercise - Exercise data
+ */
+function addToIndex(index, keys, exercise) {
+  if (!Array.isArray(keys)) {
+    return;
+  }
+
+  // Avoid listing an exercise twice when a key is repeated
+  new Set(keys).forEach(key => {
+    if (!index.has(key)) {
+      index.set(key, []);
+    }
+    index.get(key).push(exercise);
+  });
+}
+
+/**
+ * Build the exercise lookup indexes for one language
+ * @param {Array} exercises - Exercises in build order
+ * @returns {Object} Exercises, indexes and search index
+ */
+function buildExerciseIndexes(exercises) {
+  const byId = new Map();
+  const byCategory = new Map();
+  const byMuscle = new Map();
+  const byEquipment = new Map();
+  const byTag = new Map();
+
+  exercises.forEach(exercise => {
+    byId.set(exercise.id, exercise);
+    addToIndex(byCategory, [exercise.category], exercise);
+    addToIndex(byMuscle, [...(exercise.primaryMuscles || []), ...(exercise.secondaryMuscles || [])], exercise);
+    addToIndex(byEquipment, exercise.equipment, exercise);
+    addToIndex(byTag, exercise.tags, exercise);
+  });
+
+  return {
+    exercises,
+    byId,
+    byCategory,
+    byMuscle,
+    byEquipment,
+    byTag,
+    searchIndex: buildSearchIndex(exercises)
+  };
+}
+
+/**
+ * Build an immutable dataset with lookup indexes
+ * @returns {Object} Dataset snapshot
+ */
+function buildSnapshot() {
+  const versionData = readDataFile('version.json', { version: DEFAULT_VERSION });
+  const exerciseData = readDataFile('exercises.json', null);
+  const changelog = readDataFile('changelog.json', { entries: [] });
+  const workoutData = readDataFile('workouts.json', { workouts: [] });
+  const progressionData = readDataFile('progressions.json', { exercises: {} });
+  const muscleData = readDataFile('muscles.json', { groups: [], muscles: [] });
+  const categoryData = readDataFile('categories.json', { categories: [] });
+  const equipmentData = readDataFile('equipment.json', { equipment: [] });
+  const exercises = exerciseData ? exerciseData.exercises : [];
+  const workouts = workoutData.workouts || [];
+  const locales = versionData.locales || [DEFAULT_LOCALE];
+
+  // Translated exercises with their own indexes, keyed by locale
+  const translations = new Map();
+  locales
+    .filter(locale => locale !== DEFAULT_LOCALE)
+    .forEach(locale => {
+      const localeData = readDataFile(path.join('locales', locale, 'exercises.json'), null);
+      if (localeData) {
+        translations.set(locale, buildExerciseIndexes(localeData.exercises));
+      }
+    });
+
+  return {
+    available: exerciseData !== null,
+    version: versionData.version,
+    changeType: versionData.changeType || null,
+    lastModified: versionData.lastUpdated ? new Date(versionData.lastUpdated) : new Date(),
+    locale: DEFAULT_LOCALE,
+    locales: [DEFAULT_LOCALE, ...translations.keys()],
+    translations,
+    ...buildExerciseIndexes(exercises),
+    changelog: changelog.entries || [],
+    workouts,
+    workoutsById: new Map(workouts.map(workout => [workout.id, workout])),
+    progressions: progressionData.exercises || {},
+    muscleGroups: muscleData.groups || [],
+    muscles: muscleData.muscles || [],
+    categories: categoryData.categories || [],
+    equipment: equipmentData.equipment || []
+  };
+}
+
+/**
+ * Load the data directory into memory
+ * @param {string} [directory] - Data directory, defaults to api/data
+ * @returns {Object} Dataset snapshot
+ */
+function loadStore(directory) {
+  if (directory) {
+    dataDir = directory;
+  }
+
+  // Create data directory if it doesn't exist
+  if (!fs.existsSync(dataDir)) {
+    fs.mkdirSync(dataDir, { recursive: true });
+  }
+
+  // Generate version.json if it doesn't exist
+  const versionPath = path.join(dataDir, 'version.json');
+  if (!fs.existsSync(versionPath)) {
+    fs.writeFileSync(versionPath, JSON.stringify({ version: DEFAULT_VERSION }, null, 2));
+  }
+
+  snapshot = buildSnapshot();
+  return snapshot;
+}
+
+/**
+ * Rebuild the dataset and swap it in, keeping the old one on failure
+ */
+function reloadStore() {
+  try {
+    const next = buildSnapshot();
+    const previousVersion = snapshot ? snapshot.version : null;
+
+    // Handlers read the snapshot synchronously, so a single assignment is atomic
+    snapshot = next;
+
+    if (next.version !== previousVersion) {
+      console.log(`Loaded data version ${next.version} (${next.exercises.length} exercises)`);
+    }
+  } catch (error) {
+    console.error('Error reloading exercise data, keeping previous version:', error.message);
+  }
+}
+
+/**
+ * Watch the data directory and reload when a new version.json is written
+ */
+function watchStore() {
+  if (watcher) {
+    return;
+  }
+
+  watcher = fs.watch(dataDir, (eventType, filename) => {
+    if (filename !== 'version.json') {
+      return;
+    }
+
+    // Several events fire per write, reload once they settle
+    clearTimeout(reloadTimer);
+    reloadTimer = setTimeout(reloadStore, RELOAD_DELAY);
+  });
+}
+
+/**
+ * Stop watching the data directory
+ */
+function unwatchStore() {
+  clearTimeout(reloadTimer);
+
+  if (watcher) {
+    watcher.close();
+    watcher = null;
+  }
+}
+
+/**
+ * Get the current dataset
+ * @param {string} [locale] - Language of the exercise text, defaults to English
+ * @returns {Object} Dataset snapshot
+ */
+function getSnapshot(locale) {
+  if (!snapshot) {
+    loadStore();
+  }
+
+  if (!locale || !snapshot.translations.has(locale)) {
+    return snapshot;
+  }
+
+  return { ...snapshot, ...snapshot.translations.get(locale), locale };
+}
+
+/**
+ * Resolve muscle groups and aliases to canonical muscle IDs
+ * @param {Object} data - Dataset snapshot
+ * @param {Array<string>} names - Muscle groups, muscle IDs or aliases
+ * @returns {Array<string>} Muscle IDs, unknown names are kept as given
+ */
+function resolveMuscles(data, names) {
+  const ids = names.flatMap(name => {
+    const key = String(name).toLowerCase();
+    const group = data.muscleGroups.find(g => g.id === key);
+
+    // A group stands for all of its muscles
+    if (group) {
+      return group.muscles;
+    }
+
+    const muscle = data.muscles.find(m => m.id === key || m.aliases.includes(key));
+    return muscle ? [muscle.id] : [name];
+  });
+
+  return [...new Set(ids)];
+}
+
+/**
+ * Filter exercises using the dataset indexes
+ * @param {Object} data - Dataset snapshot
+ * @param {Object} filters - category, difficulty, equipment, muscle (or muscle group) and tags (array)
+ * @returns {Array} Matching exercises in build order
+ */
+function findExercises(data, filters) {
+  const { category, difficulty, equipment, muscle, tags } = filters;
+  const candidates = [];
+
+  if (category) {
+    candidates.push(data.byCategory.get(category) || []);
+  }
+
+  if (equipment) {
+    candidates.push(data.byEquipment.get(equipment) || []);
+  }
+
+  if (muscle) {
+    const worked = new Set(resolveMuscles(data, [muscle]).flatMap(id => data.byMuscle.get(id) || []));
+    candidates.push(data.exercises.filter(ex => worked.has(ex)));
+  }
+
+  if (tags && tags.length > 0) {
+    const tagged = new Set(tags.flatMap(tag => data.byTag.get(tag) || []));
+    candidates.push(data.exercises.filter(ex => tagged.has(ex)));
+  }
+
+  if (candidates.length === 0) {
+    candidates.push(data.exercises);
+  }
+
+  // Start from the smallest index list and intersect with the others
+  candidates.sort((a, b) => a.length - b.length);
+  const [smallest, ...others] = candidates;
+  const otherSets = others.map(list => new Set(list));
+
+  return smallest.filter(ex =>
+    otherSets.every(set => set.has(ex)) &&
+    (!difficulty || ex.difficulty === difficulty)
+  );
+}
+
+module.exports = {
+  loadStore,
+  reloadStore,
+  watchStore,
+  unwatchStore,
+  getSnapshot,
+  resolveMuscles,
+  findExercises
+};
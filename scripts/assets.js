@@ -0,0 +1,135 @@
+/**
+ * Asset build helpers
+ *
+ * Original assets stay in assets/ and are never modified. The asset scripts
+ * write their output to dist/assets/ under content-hashed filenames, which
+ * the API serves as immutable, and record the names in files that the
+ * build reads to rewrite asset URLs.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const glob = require('glob');
+const crypto = require('crypto');
+
+// Configuration
+const SOURCE_DIR = path.join(__dirname, '..', 'assets');
+const BUILD_DIR = path.join(__dirname, '..', 'dist', 'assets');
+const ASSET_MAP_PATH = path.join(__dirname, '..', 'dist', 'asset-map.json');
+const IMAGE_MANIFEST_PATH = path.join(__dirname, '..', 'dist', 'image-manifest.json');
+const VIDEO_MANIFEST_PATH = path.join(__dirname, '..', 'dist', 'video-manifest.json');
+const HASH_LENGTH = 10;
+
+/**
+ * Get a path relative to an assets directory with forward slashes
+ * @param {string} filePath - Absolute path
+ * @param {string} [dir] - Directory it is under, assets/ by default
+ * @returns {string} Asset path, e.g. images/push-up.jpg
+ */
+function toAssetPath(filePath, dir = SOURCE_DIR) {
+  return path.relative(dir, filePath).split(path.sep).join('/');
+}
+
+/**
+ * Calculate the hash of file content
+ * @param {Buffer|string} content - File content
+ * @returns {string} MD5 hash
+ */
+function hashContent(content) {
+  return crypto.createHash('md5').update(content).digest('hex');
+}
+
+/**
+ * Calculate the hash of a file without reading it into memory
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<string>} MD5 hash, the same as hashContent of its content
+ */
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('md5');
+
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * Write a built asset under a name that changes with its content
+ * @param {string} assetPath - Path in the build directory without the hash, e.g. images/push-up.jpg
+ * @param {Buffer} content - File content
+ * @returns {string} Path written, relative to the build directory, e.g. images/push-up.5d41402abc.jpg
+ */
+function writeHashedAsset(assetPath, content) {
+  const extension = path.posix.extname(assetPath);
+  const hashedPath = `${assetPath.slice(0, -extension.length)}.${hashContent(content).slice(0, HASH_LENGTH)}${extension}`;
+  const outputPath = path.join(BUILD_DIR, hashedPath);
+
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, content);
+  return hashedPath;
+}
+
+/**
+ * Check whether a built asset exists
+ * @param {string} hashedPath - Path relative to the build directory
+ * @returns {boolean} True if the file exists
+ */
+function builtAssetExists(hashedPath) {
+  return fs.existsSync(path.join(BUILD_DIR, hashedPath));
+}
+
+/**
+ * Read a mapping file written by the asset scripts
+ * @param {string} filePath - ASSET_MAP_PATH, IMAGE_MANIFEST_PATH or VIDEO_MANIFEST_PATH
+ * @returns {Object} Entries by source asset path, empty if the file does not exist
+ */
+function readAssetFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return {};
+  }
+
+  return JSON.parse(fs.readFileSync(filePath, 'utf8')).assets || {};
+}
+
+/**
+ * Write a mapping file
+ * @param {string} filePath - ASSET_MAP_PATH, IMAGE_MANIFEST_PATH or VIDEO_MANIFEST_PATH
+ * @param {Object} assets - Entries by source asset path
+ */
+function writeAssetFile(filePath, assets) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify({ assets }, null, 2));
+}
+
+/**
+ * Remove built files that are no longer referenced
+ * @param {string} pattern - Glob pattern relative to the build directory, e.g. images/variants/*
+ * @param {Set<string>} keep - Built paths still in use
+ * @param {Array<string>} [ignore] - Glob patterns of files other scripts own
+ * @returns {number} Number of files removed
+ */
+function removeUnusedAssets(pattern, keep, ignore = []) {
+  const unused = glob.sync(`${BUILD_DIR}/${pattern}`, { nodir: true, ignore: ignore.map(other => `${BUILD_DIR}/${other}`) })
+    .filter(file => !keep.has(toAssetPath(file, BUILD_DIR)));
+
+  unused.forEach(file => fs.unlinkSync(file));
+  return unused.length;
+}
+
+module.exports = {
+  SOURCE_DIR,
+  BUILD_DIR,
+  ASSET_MAP_PATH,
+  IMAGE_MANIFEST_PATH,
+  VIDEO_MANIFEST_PATH,
+  toAssetPath,
+  hashContent,
+  hashFile,
+  writeHashedAsset,
+  builtAssetExists,
+  readAssetFile,
+  writeAssetFile,
+  removeUnusedAssets
+};
@@ -0,0 +1,180 @@
+/**
+ * Checks shared by the build and validation scripts
+ *
+ * The lint rules cover single exercise files, these helpers cover parsing a
+ * file for the rules, translations against their base file and the links
+ * between exercises. The build leaves out whatever validation reports as an
+ * error, so both agree on which files are valid.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getTranslationLocale, getBaseFile, parseDocument } = require('./document');
+
+const TRANSLATION_FIELDS = ['name', 'aliases', 'sourceHash'];
+
+/**
+ * Build a lintable document from file content
+ * @param {string} file - Path to markdown file
+ * @param {string} raw - File content as on disk
+ * @returns {Object} Parsed document with its path and raw content
+ * @throws {Error} If the frontmatter cannot be parsed
+ */
+function buildDocument(file, raw) {
+  // Parse as LF so CRLF files are still linted, line-endings reports them
+  const doc = { file, raw, ...parseDocument(file, raw.replace(/\r\n?/g, '\n')) };
+
+  if (!doc.metadata || typeof doc.metadata !== 'object') {
+    throw new Error('Frontmatter is empty');
+  }
+
+  return doc;
+}
+
+/**
+ * Check a translated exercise file against its base file
+ * Structural problems are errors, an outdated or missing sourceHash is a warning.
+ * @param {string} file - Path to the translation file
+ * @returns {Object} locale, baseFile, errors and warnings
+ */
+function checkTranslation(file) {
+  const baseFile = getBaseFile(file);
+  const errors = [];
+  const warnings = [];
+
+  try {
+    if (!fs.existsSync(baseFile)) {
+      throw new Error(`No base exercise file ${path.basename(baseFile)}`);
+    }
+
+    const base = parseDocument(baseFile);
+    const translation = parseDocument(file);
+    const metadata = translation.metadata || {};
+    const expectedHash = crypto.createHash('md5').update(base.markdown).digest('hex');
+
+    Object.keys(metadata)
+      .filter(key => !TRANSLATION_FIELDS.includes(key))
+      .forEach(key => {
+        errors.push(`/${key}: not translatable, set it in ${path.basename(baseFile)}`);
+      });
+
+    if (metadata.aliases !== undefined && !Array.isArray(metadata.aliases)) {
+      errors.push('/aliases: must be array');
+    }
+
+    // Sections are matched to the base file by position
+    if (translation.headings.length !== base.headings.length) {
+      errors.push(`Has ${translation.headings.length} headings, base file has ${base.headings.length}`);
+    }
+
+    if (!metadata.sourceHash) {
+      warnings.push(`Missing sourceHash, set it to ${expectedHash} once up to date`);
+    } else if (metadata.sourceHash !== expectedHash) {
+      warnings.push(`Base file changed since translation, update it and set sourceHash to ${expectedHash}`);
+    }
+  } catch (error) {
+    errors.push(error.message);
+  }
+
+  return { locale: getTranslationLocale(file), baseFile, errors, warnings };
+}
+
+/**
+ * Find a cycle in a directed graph
+ * @param {Map<string, Array<string>>} edges - Adjacency list
+ * @returns {Array<string>|null} Nodes forming the cycle, or null
+ */
+function findCycle(edges) {
+  const state = new Map(); // 1 = visiting, 2 = done
+  const stack = [];
+
+  const visit = node => {
+    state.set(node, 1);
+    stack.push(node);
+
+    for (const next of edges.get(node) || []) {
+      if (state.get(next) === 1) {
+        return [...stack.slice(stack.indexOf(next)), next];
+      }
+      if (!state.has(next)) {
+        const cycle = visit(next);
+        if (cycle) return cycle;
+      }
+    }
+
+    stack.pop();
+    state.set(node, 2);
+    return null;
+  };
+
+  for (const node of edges.keys()) {
+    if (!state.has(node)) {
+      const cycle = visit(node);
+      if (cycle) return cycle;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check progression, regression and variation links between exercises
+ * @param {Map<string, Object>} exercises - Valid exercises by ID ({ file, metadata })
+ * @returns {Array<Object>} Problems as { file, message }
+ */
+function checkProgressionLinks(exercises) {
+  const problems = [];
+  const harder = new Map();
+  const parents = new Map();
+
+  const addEdge = (from, to) => {
+    if (!harder.has(from)) harder.set(from, []);
+    harder.get(from).push(to);
+  };
+
+  for (const [id, { file, metadata }] of exercises) {
+    const check = (field, target) => {
+      if (!exercises.has(target)) {
+        problems.push({ file, message: `${field} references unknown exercise "${target}"` });
+        return false;
+      }
+      if (target === id) {
+        problems.push({ file, message: `${field} references the exercise itself` });
+        return false;
+      }
+      return true;
+    };
+
+    (metadata.progressions || []).forEach(target => {
+      if (check('progressions', target)) addEdge(id, target);
+    });
+
+    (metadata.regressions || []).forEach(target => {
+      if (check('regressions', target)) addEdge(target, id);
+    });
+
+    if (metadata.variationOf && check('variationOf', metadata.variationOf)) {
+      parents.set(id, [metadata.variationOf]);
+    }
+  }
+
+  // Cycles are reported on the file of the first exercise in the loop
+  const progressionCycle = findCycle(harder);
+  if (progressionCycle) {
+    problems.push({ file: exercises.get(progressionCycle[0]).file, message: `Progression cycle: ${progressionCycle.join(' -> ')}` });
+  }
+
+  const variationCycle = findCycle(parents);
+  if (variationCycle) {
+    problems.push({ file: exercises.get(variationCycle[0]).file, message: `variationOf cycle: ${variationCycle.join(' -> ')}` });
+  }
+
+  return problems;
+}
+
+module.exports = {
+  buildDocument,
+  checkTranslation,
+  checkProgressionLinks
+};
@@ -5,49 +5,58 @@
  * 
  * This script optimizes images in the assets directory for better 
  * mobile performance by reducing file sizes while maintaining quality.
+ * Originals are left untouched, optimized copies are written to dist/assets
+ * under content-hashed names listed in dist/asset-map.json.
  */
 
 const fs = require('fs');
 const path = require('path');
 const glob = require('glob');
 const sharp = require('sharp');
+const {
+  SOURCE_DIR,
+  ASSET_MAP_PATH,
+  toAssetPath,
+  hashContent,
+  writeHashedAsset,
+  builtAssetExists,
+  readAssetFile,
+  writeAssetFile,
+  removeUnusedAssets
+} = require('./assets');
 
 // Configuration
-const ASSETS_DIR = path.join(__dirname, '..', 'assets');
-const IMAGES_DIR = path.join(ASSETS_DIR, 'images');
+const IMAGES_DIR = path.join(SOURCE_DIR, 'images');
 const QUALITY = 80; // JPEG quality (0-100)
 const MAX_WIDTH = 1200; // Maximum width for full-size images
 
-// Ensure directories exist
-if (!fs.existsSync(IMAGES_DIR)) {
-  fs.mkdirSync(IMAGES_DIR, { recursive: true });
-}
-
 /**
  * Compress and optimize an image
  * @param {string} filePath - Path to the image file
+ * @param {Object} previous - Asset map entry from the previous run
  * @returns {Promise<Object>} - Optimization results
  */
-async function optimizeImage(filePath) {
+async function optimizeImage(filePath, previous) {
   const filename = path.basename(filePath);
-  const outputPath = path.join(IMAGES_DIR, filename);
+  const source = fs.readFileSync(filePath);
+  const sourceHash = hashContent(source);
   
-  // Skip if already optimized (check if filename contains -optimized)
-  if (filename.includes('-optimized')) {
+  // Skip if this version of the original was already optimized
+  if (previous && previous.sourceHash === sourceHash && builtAssetExists(previous.path)) {
     return { 
       file: filename, 
+      entry: previous,
       skipped: true, 
       reason: 'Already optimized' 
     };
   }
   
   // Get original file stats
-  const originalStats = fs.statSync(filePath);
-  const originalSize = originalStats.size;
+  const originalSize = source.length;
   
   try {
     // Process with sharp
-    const image = sharp(filePath);
+    const image = sharp(source);
     const metadata = await image.metadata();
     
     // Resize if larger than max width
@@ -71,25 +80,28 @@ async function optimizeImage(filePath) {
         .toBuffer();
     } else {
       // Unsupported format, just copy the file
-      fs.copyFileSync(filePath, outputPath);
       return { 
         file: filename, 
+        entry: { path: writeHashedAsset(toAssetPath(filePath), source), sourceHash, bytes: originalSize },
         skipped: true, 
         reason: `Unsupported format: ${metadata.format}` 
       };
     }
     
-    // Write the optimized image
-    fs.writeFileSync(outputPath, optimizedImage);
+    // Write the optimized image, keeping the original if it was already smaller
+    if (optimizedImage.length >= originalSize) {
+      optimizedImage = source;
+    }
+    const outputPath = writeHashedAsset(toAssetPath(filePath), optimizedImage);
     
     // Get optimized file stats
-    const optimizedStats = fs.statSync(outputPath);
-    const optimizedSize = optimizedStats.size;
+    const optimizedSize = optimizedImage.length;
     const savings = originalSize - optimizedSize;
     const savingsPercent = ((savings / originalSize) * 100).toFixed(2);
     
     return {
       file: filename,
+      entry: { path: outputPath, sourceHash, bytes: optimizedSize },
       originalSize,
       optimizedSize,
       savings,
@@ -109,15 +121,12 @@ async function optimizeImage(filePath) {
  */
 async function processImages() {
   // Find all image files
-  const imageFiles = [
-    ...glob.sync(`${ASSETS_DIR}/**/*.jpg`),
-    ...glob.sync(`${ASSETS_DIR}/**/*.jpeg`),
-    ...glob.sync(`${ASSETS_DIR}/**/*.png`),
-    ...glob.sync(`${ASSETS_DIR}/**/*.webp`)
-  ];
+  const imageFiles = glob.sync(`${SOURCE_DIR}/**/*.{jpg,jpeg,png,webp}`).sort();
   
   console.log(`Found ${imageFiles.length} images to process.`);
   
+  const previous = readAssetFile(ASSET_MAP_PATH);
+  const assets = {};
   const results = [];
   let totalSavings = 0;
   let totalOriginalSize = 0;
@@ -128,9 +137,14 @@ async function processImages() {
   
   // Process each image
   for (const file of imageFiles) {
-    const result = await optimizeImage(file);
+    const key = toAssetPath(file);
+    const result = await optimizeImage(file, previous[key]);
     results.push(result);
     
+    if (result.entry) {
+      assets[key] = result.entry;
+    }
+    
     if (result.error) {
       errorCount++;
     } else if (result.skipped) {
@@ -150,10 +164,18 @@ async function processImages() {
     ? ((totalSavings / totalOriginalSize) * 100).toFixed(2) 
     : 0;
   
+  // Variants and posters belong to generate-image-variants.js and generate-video-manifest.js
+  const removedCount = removeUnusedAssets('**/*', new Set(Object.values(assets).map(entry => entry.path)),
+    ['images/variants/**', 'posters/**']);
+  
+  // Write the mapping read by md-to-json.js
+  writeAssetFile(ASSET_MAP_PATH, assets);
+  
   console.log('\nOptimization complete!');
   console.log(`Processed: ${processedCount} images`);
   console.log(`Skipped: ${skippedCount} images`);
   console.log(`Errors: ${errorCount} images`);
+  console.log(`Removed: ${removedCount} outdated images`);
   
   if (processedCount > 0) {
     console.log(`Total size before: ${(totalOriginalSize / 1024 / 1024).toFixed(2)} MB`);
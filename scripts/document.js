@@ -0,0 +1,167 @@
+/**
+ * Markdown document parsing
+ *
+ * Splits exercise and workout files into frontmatter metadata and body
+ * sections. Shared by the build and validation scripts so both read a file
+ * the same way.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const glob = require('glob');
+const yaml = require('js-yaml');
+const marked = require('marked');
+
+const FRONTMATTER_REGEX = /^---[ \t]*\n([\s\S]*?)\n---[ \t]*\n([\s\S]*)$/; // Trailing whitespace is left to the linter
+const LINK_REGEX = /(!?)\[([^\]]*)\]\(([^)\s]*)(?:\s+"[^"]*")?\)/g; // [text](link "title"), images start with !
+const VIDEO_EXTENSION_REGEX = /\.(mp4|m4v|mov|webm)(?:[?#].*)?$/i;
+const TRANSLATION_REGEX = /\.([a-z]{2}(?:-[a-z]{2})?)\.md$/i; // e.g. squat.it.md
+const INDEX_FILENAME = 'index.md'; // Generated listings, not documents
+
+/**
+ * Count the lines before an offset in a text
+ * @param {string} text - Text to search
+ * @param {number} offset - Character offset
+ * @returns {number} 1-based line number of the offset
+ */
+function lineAt(text, offset) {
+  return text.slice(0, offset).split('\n').length;
+}
+
+/**
+ * Split a markdown file into frontmatter metadata and body sections
+ * @param {string} filePath - Path to markdown file
+ * @param {string} [content] - File content, read from disk when omitted
+ * @returns {Object} Metadata, raw markdown body, sections by heading and
+ *   headings with their line numbers
+ */
+function parseDocument(filePath, content = fs.readFileSync(filePath, 'utf8')) {
+  // Extract YAML frontmatter
+  const frontmatterMatch = content.match(FRONTMATTER_REGEX);
+
+  if (!frontmatterMatch) {
+    throw new Error(`No valid frontmatter found in ${filePath}`);
+  }
+
+  const [, frontmatter, markdown] = frontmatterMatch;
+  const bodyLine = lineAt(content, content.length - markdown.length);
+
+  // Parse YAML frontmatter
+  const metadata = yaml.load(frontmatter);
+
+  // Parse markdown content
+  const tokens = marked.lexer(markdown);
+
+  // Extract sections from markdown
+  const sections = {};
+  const headings = [];
+  let currentSection = null;
+  let offset = 0;
+
+  for (const token of tokens) {
+    if (token.type === 'heading') {
+      currentSection = token.text.toLowerCase();
+      sections[currentSection] = [];
+      headings.push({
+        text: token.text,
+        depth: token.depth,
+        line: bodyLine + lineAt(markdown, offset) - 1
+      });
+    } else if (currentSection && (token.type === 'paragraph' || token.type === 'list')) {
+      if (token.type === 'list') {
+        sections[currentSection] = token.items.map(item => item.text);
+      } else {
+        sections[currentSection].push(token.text);
+      }
+    }
+
+    offset += token.raw.length;
+  }
+
+  return { metadata, markdown, sections, content, headings, bodyLine };
+}
+
+/**
+ * Find the images and videos linked from markdown
+ * Videos are links to a video file or links whose text mentions a video.
+ * @param {string} markdown - Markdown content
+ * @returns {Object} images and videos as { link, text, index } in document order
+ */
+function extractMediaLinks(markdown) {
+  const images = [];
+  const videos = [];
+  let match;
+
+  LINK_REGEX.lastIndex = 0;
+  while ((match = LINK_REGEX.exec(markdown)) !== null) {
+    const [, bang, text, link] = match;
+    const media = { link, text: text.trim(), index: match.index };
+
+    if (bang) {
+      images.push(media);
+    } else if (VIDEO_EXTENSION_REGEX.test(link) || /video/i.test(text)) {
+      videos.push(media);
+    }
+  }
+
+  return { images, videos };
+}
+
+/**
+ * Find the line of a top-level frontmatter key
+ * @param {string} content - Full file content
+ * @param {string} key - Frontmatter key
+ * @returns {number} 1-based line number, or 1 if the key is not present
+ */
+function findKeyLine(content, key) {
+  const lines = content.split('\n');
+  const index = lines.findIndex(line => line.startsWith(`${key}:`));
+  return index === -1 ? 1 : index + 1;
+}
+
+/**
+ * Get the locale of a translated exercise file
+ * @param {string} filePath - Path to markdown file
+ * @returns {string|null} Locale code, or null for base files
+ */
+function getTranslationLocale(filePath) {
+  const match = filePath.match(TRANSLATION_REGEX);
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Get the base file a translation was made from
+ * @param {string} filePath - Path to a translated file, e.g. squat.it.md
+ * @returns {string} Path to the base file, e.g. squat.md
+ */
+function getBaseFile(filePath) {
+  return filePath.replace(TRANSLATION_REGEX, '.md');
+}
+
+/**
+ * List the markdown documents in a directory, skipping index files
+ * @param {string} dir - Directory to search recursively
+ * @returns {Object} Sorted paths of base documents and of their translations
+ */
+function findDocuments(dir) {
+  const files = glob.sync(`${dir}/**/*.md`)
+    .filter(file => path.basename(file) !== INDEX_FILENAME)
+    .sort();
+
+  return {
+    documents: files.filter(file => !getTranslationLocale(file)),
+    translations: files.filter(file => getTranslationLocale(file))
+  };
+}
+
+module.exports = {
+  FRONTMATTER_REGEX,
+  INDEX_FILENAME,
+  findDocuments,
+  getTranslationLocale,
+  getBaseFile,
+  parseDocument,
+  extractMediaLinks,
+  findKeyLine,
+  lineAt
+};
@@ -0,0 +1,234 @@
+#!/usr/bin/env node
+
+/**
+ * Responsive image variant generator for exercise assets
+ *
+ * This script resizes every exercise image to several widths in AVIF, WebP
+ * and a JPEG or PNG fallback, and writes a manifest with the dimensions and
+ * size of each variant so the build can list them for every image. Variants
+ * are written to dist/assets under content-hashed names. The manifest also
+ * holds a tiny inline preview and the dominant color of each image for
+ * clients to show while the image loads.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const glob = require('glob');
+const sharp = require('sharp');
+const {
+  SOURCE_DIR,
+  IMAGE_MANIFEST_PATH,
+  toAssetPath,
+  hashContent,
+  writeHashedAsset,
+  builtAssetExists,
+  readAssetFile,
+  writeAssetFile,
+  removeUnusedAssets
+} = require('./assets');
+
+// Configuration
+const IMAGES_DIR = path.join(SOURCE_DIR, 'images');
+const WIDTHS = [320, 640, 960, 1280]; // Covers list thumbnails up to 3x density detail views
+const PLACEHOLDER_WIDTH = 16; // Blurred by the client, a few hundred bytes inline
+
+// Output formats, most efficient first; the fallback keeps the source format
+const FORMATS = {
+  avif: { type: 'image/avif', options: { quality: 50 } },
+  webp: { type: 'image/webp', options: { quality: 75 } },
+  jpeg: { type: 'image/jpeg', extension: 'jpg', options: { quality: 80, progressive: true } },
+  png: { type: 'image/png', options: { compressionLevel: 9 } }
+};
+
+/**
+ * Pick the widths to generate for an image
+ * Images are never enlarged, sources narrower than the largest width also get a variant at their own width.
+ * @param {number} sourceWidth - Width of the source image
+ * @returns {Array<number>} Widths in ascending order
+ */
+function getVariantWidths(sourceWidth) {
+  const widths = WIDTHS.filter(width => width < sourceWidth);
+  return sourceWidth <= WIDTHS[WIDTHS.length - 1] ? [...widths, sourceWidth] : widths;
+}
+
+/**
+ * Format a color as a hex string
+ * @param {Object} color - Channels as { r, g, b }
+ * @returns {string} Color, e.g. #a1b2c3
+ */
+function toHexColor({ r, g, b }) {
+  return `#${[r, g, b].map(channel => channel.toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Create a low-quality placeholder for an image
+ * @param {Buffer} source - Source image
+ * @param {string} format - Output format, the same as the fallback variants
+ * @returns {Promise<Object>} Data URI of the tiny preview and the dominant color
+ */
+async function createPlaceholder(source, format) {
+  const { type, options } = FORMATS[format];
+  const preview = await sharp(source)
+    .rotate()
+    .resize({ width: PLACEHOLDER_WIDTH })
+    .toFormat(format, format === 'jpeg' ? { quality: 40 } : options)
+    .toBuffer();
+  const { dominant } = await sharp(source).stats();
+
+  return {
+    lqip: `data:${type};base64,${preview.toString('base64')}`,
+    dominantColor: toHexColor(dominant)
+  };
+}
+
+/**
+ * Check whether the manifest entry of an image still matches its source
+ * @param {Object} entry - Manifest entry from the previous run
+ * @param {string} hash - Hash of the source file
+ * @returns {boolean} True if all variants exist for this version of the source
+ */
+function isUpToDate(entry, hash) {
+  return Boolean(entry) && entry.hash === hash && Boolean(entry.placeholder) &&
+    entry.variants.every(variant => builtAssetExists(variant.path));
+}
+
+/**
+ * Generate the variants of an image
+ * @param {string} filePath - Path to the image file
+ * @param {Object} previous - Manifest entry from the previous run
+ * @returns {Promise<Object>} - Manifest entry and processing details
+ */
+async function generateVariants(filePath, previous) {
+  const filename = path.basename(filePath);
+  // e.g. images/push-up.jpg -> images/variants/push-up
+  const variantBase = toAssetPath(filePath).replace(/^images\//, 'images/variants/').replace(/\.[^.]+$/, '');
+  const source = fs.readFileSync(filePath);
+  const hash = hashContent(source);
+
+  if (isUpToDate(previous, hash)) {
+    return {
+      file: filename,
+      entry: previous,
+      skipped: true,
+      reason: 'Variants are up to date'
+    };
+  }
+
+  try {
+    const metadata = await sharp(source).metadata();
+
+    if (!['jpeg', 'png', 'webp'].includes(metadata.format)) {
+      return {
+        file: filename,
+        skipped: true,
+        reason: `Unsupported format: ${metadata.format}`
+      };
+    }
+
+    // Transparent images need a fallback that keeps the alpha channel
+    const fallback = metadata.hasAlpha ? 'png' : 'jpeg';
+    const variants = [];
+
+    // Orientations 5 to 8 are rotated by 90 degrees, so width and height swap once applied
+    const rotated = metadata.orientation >= 5;
+    const width = rotated ? metadata.height : metadata.width;
+    const height = rotated ? metadata.width : metadata.height;
+
+    for (const format of ['avif', 'webp', fallback]) {
+      const { type, extension = format, options } = FORMATS[format];
+
+      for (const variantWidth of getVariantWidths(width)) {
+        const { data, info } = await sharp(source)
+          .rotate() // Apply EXIF orientation before the metadata is dropped
+          .resize({ width: variantWidth, withoutEnlargement: true })
+          .toFormat(format, options)
+          .toBuffer({ resolveWithObject: true });
+
+        variants.push({
+          path: writeHashedAsset(`${variantBase}-${variantWidth}.${extension}`, data),
+          type,
+          width: info.width,
+          height: info.height,
+          bytes: info.size
+        });
+      }
+    }
+
+    return {
+      file: filename,
+      entry: {
+        hash,
+        width,
+        height,
+        type: `image/${metadata.format}`,
+        bytes: source.length,
+        placeholder: await createPlaceholder(source, fallback),
+        variants
+      }
+    };
+  } catch (error) {
+    console.error(`Error generating variants for ${filename}:`, error);
+    return {
+      file: filename,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Process all images and write the variant manifest
+ */
+async function generateImageVariants() {
+  // Find all source images
+  const imageFiles = glob.sync(`${IMAGES_DIR}/**/*.{jpg,jpeg,png,webp}`).sort();
+
+  console.log(`Found ${imageFiles.length} images to process.`);
+
+  const previous = readAssetFile(IMAGE_MANIFEST_PATH);
+  const images = {};
+  let variantCount = 0;
+  let processedCount = 0;
+  let errorCount = 0;
+  let skippedCount = 0;
+
+  // Process each image
+  for (const file of imageFiles) {
+    const key = toAssetPath(file);
+    const result = await generateVariants(file, previous[key]);
+
+    if (result.entry) {
+      images[key] = result.entry;
+    }
+
+    if (result.error) {
+      errorCount++;
+    } else if (result.skipped) {
+      skippedCount++;
+    } else {
+      processedCount++;
+      variantCount += result.entry.variants.length;
+
+      console.log(`Generated ${result.entry.variants.length} variants for ${result.file}`);
+    }
+  }
+
+  const current = new Set(Object.values(images).flatMap(entry => entry.variants.map(variant => variant.path)));
+  const removedCount = removeUnusedAssets('images/variants/**/*', current);
+
+  console.log('\nImage variant generation complete!');
+  console.log(`Processed: ${processedCount} images (${variantCount} variants)`);
+  console.log(`Skipped: ${skippedCount} images`);
+  console.log(`Errors: ${errorCount} images`);
+  console.log(`Removed: ${removedCount} stale variants`);
+
+  // Write the manifest read by md-to-json.js
+  writeAssetFile(IMAGE_MANIFEST_PATH, images);
+
+  console.log(`Variant manifest written to ${IMAGE_MANIFEST_PATH}`);
+}
+
+// Execute
+generateImageVariants().catch(error => {
+  console.error('Error generating image variants:', error);
+  process.exit(1);
+});
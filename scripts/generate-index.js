@@ -0,0 +1,202 @@
+#!/usr/bin/env node
+
+/**
+ * Exercise index generator
+ *
+ * This script builds exercises/index.md from the frontmatter and descriptions
+ * of all exercise files, grouped by category and optionally by muscle and
+ * equipment.
+ *
+ * Usage: node scripts/generate-index.js [--by-muscle] [--by-equipment]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { INDEX_FILENAME, findDocuments, parseDocument } = require('./document');
+const { loadMuscleTaxonomy, normalizeMuscles } = require('./taxonomy');
+
+// Configuration
+const EXERCISES_DIR = path.join(__dirname, '..', 'exercises');
+const INDEX_PATH = path.join(EXERCISES_DIR, INDEX_FILENAME);
+const SCHEMA_PATH = path.join(__dirname, '..', 'schemas', 'exercise.json');
+const OPTION_FLAGS = { byMuscle: '--by-muscle', byEquipment: '--by-equipment' };
+
+// The header records the options so the index can be checked with the same ones
+const HEADER_REGEX = /^<!-- Generated by scripts\/generate-index\.js(.*?)\. Do not edit by hand\. -->/;
+
+/**
+ * Turn an ID into a display name, e.g. upper-body -> Upper Body
+ * @param {string} id - Hyphenated ID
+ * @returns {string} Display name
+ */
+function toDisplayName(id) {
+  return id.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+/**
+ * Get the first sentence of a description
+ * @param {Array<string>} paragraphs - Description section paragraphs
+ * @returns {string} First sentence, or an empty string
+ */
+function firstSentence(paragraphs) {
+  const text = (paragraphs || []).join(' ').replace(/\s+/g, ' ').trim();
+  const match = text.match(/^.*?[.!?](?=\s|$)/);
+  return match ? match[0] : text;
+}
+
+/**
+ * Read the exercises listed in the index
+ * @returns {Array<Object>} Exercises with their file, metadata and blurb
+ */
+function loadExercises() {
+  return findDocuments(EXERCISES_DIR).documents
+    .map(file => {
+      const { metadata, sections } = parseDocument(file);
+      return {
+        link: path.relative(EXERCISES_DIR, file).split(path.sep).join('/'),
+        metadata,
+        blurb: firstSentence(sections.description)
+      };
+    })
+    .sort((a, b) => a.metadata.name.localeCompare(b.metadata.name));
+}
+
+/**
+ * Format the list of exercises in a group
+ * @param {Array<Object>} exercises - Exercises to list
+ * @param {boolean} withBlurb - Whether to follow each link with its blurb
+ * @returns {Array<string>} Markdown lines
+ */
+function formatList(exercises, withBlurb) {
+  return exercises.map(({ link, metadata, blurb }) =>
+    `- [${metadata.name}](${link})${withBlurb && blurb ? ` - ${blurb}` : ''}`
+  );
+}
+
+/**
+ * Format one grouping of the index, leaving out empty groups
+ * @param {Array<Object>} groups - Groups as { name, exercises }
+ * @param {string} level - Markdown heading prefix
+ * @param {boolean} [withBlurb] - Whether to include blurbs, only done once per exercise
+ * @returns {Array<string>} Markdown lines
+ */
+function formatGroups(groups, level, withBlurb = false) {
+  return groups
+    .filter(group => group.exercises.length > 0)
+    .flatMap(group => [`${level} ${group.name}`, '', ...formatList(group.exercises, withBlurb), '']);
+}
+
+/**
+ * Build the index markdown
+ * @param {Object} options - byMuscle and byEquipment flags
+ * @returns {string} Markdown content of exercises/index.md
+ */
+function buildIndex(options = {}) {
+  const exercises = loadExercises();
+  const categories = JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8')).properties.category.enum;
+  const flags = Object.keys(OPTION_FLAGS).filter(option => options[option]).map(option => ` ${OPTION_FLAGS[option]}`);
+
+  const lines = [
+    `<!-- Generated by scripts/generate-index.js${flags.join('')}. Do not edit by hand. -->`,
+    '',
+    '# Exercise Index',
+    '',
+    'This document lists every exercise available in the repository, organized by category.',
+    '',
+    ...formatGroups(categories.map(category => ({
+      name: toDisplayName(category),
+      exercises: exercises.filter(ex => ex.metadata.category === category)
+    })), '##', true)
+  ];
+
+  if (options.byMuscle) {
+    const taxonomy = loadMuscleTaxonomy();
+    const primaryMuscles = new Map(exercises.map(ex => [ex, normalizeMuscles(taxonomy, ex.metadata.primaryMuscles).muscles]));
+
+    lines.push('## By Muscle', '');
+    taxonomy.groups.forEach(group => {
+      lines.push(...formatGroups(taxonomy.muscles
+        .filter(muscle => muscle.group === group.id)
+        .map(muscle => ({
+          name: `${group.name}: ${muscle.name}`,
+          exercises: exercises.filter(ex => primaryMuscles.get(ex).includes(muscle.id))
+        })), '###'));
+    });
+  }
+
+  if (options.byEquipment) {
+    const equipment = [...new Set(exercises.flatMap(ex => ex.metadata.equipment || []))].sort();
+
+    lines.push('## By Equipment', '');
+    lines.push(...formatGroups(equipment.map(item => ({
+      name: toDisplayName(item),
+      exercises: exercises.filter(ex => (ex.metadata.equipment || []).includes(item))
+    })), '###'));
+  }
+
+  lines.push(
+    '---',
+    '',
+    '## Adding New Exercises',
+    '',
+    'Follow the template in [CONTRIBUTING.md](../CONTRIBUTING.md), then run `npm run generate-index` to update this file.',
+    ''
+  );
+
+  return lines.join('\n');
+}
+
+/**
+ * Read the options the committed index was generated with
+ * @returns {Object} byMuscle and byEquipment flags
+ */
+function readIndexOptions() {
+  const content = fs.existsSync(INDEX_PATH) ? fs.readFileSync(INDEX_PATH, 'utf8') : '';
+  const match = content.match(HEADER_REGEX);
+  const flags = match ? match[1].trim().split(/\s+/) : [];
+
+  return Object.fromEntries(Object.entries(OPTION_FLAGS).map(([option, flag]) => [option, flags.includes(flag)]));
+}
+
+/**
+ * Check whether the committed index matches the exercise files
+ * @returns {boolean} True if exercises/index.md is up to date
+ */
+function isIndexCurrent() {
+  if (!fs.existsSync(INDEX_PATH)) {
+    return false;
+  }
+
+  return fs.readFileSync(INDEX_PATH, 'utf8') === buildIndex(readIndexOptions());
+}
+
+/**
+ * Write exercises/index.md
+ * @param {Object} options - byMuscle and byEquipment flags
+ */
+function writeIndex(options) {
+  fs.writeFileSync(INDEX_PATH, buildIndex(options));
+}
+
+module.exports = {
+  INDEX_PATH,
+  buildIndex,
+  readIndexOptions,
+  isIndexCurrent,
+  writeIndex
+};
+
+// Execute
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const unknown = args.filter(arg => !Object.values(OPTION_FLAGS).includes(arg));
+
+  if (unknown.length > 0) {
+    console.error(`Unknown argument ${unknown[0]}\nUsage: node scripts/generate-index.js [--by-muscle] [--by-equipment]`);
+    process.exit(1);
+  }
+
+  const options = Object.fromEntries(Object.entries(OPTION_FLAGS).map(([option, flag]) => [option, args.includes(flag)]));
+  writeIndex(options);
+  console.log(`Index written to ${INDEX_PATH}`);
+}
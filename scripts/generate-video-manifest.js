@@ -0,0 +1,200 @@
+#!/usr/bin/env node
+
+/**
+ * Video manifest generator for exercise assets
+ *
+ * This script reads the duration, resolution and codecs of every exercise
+ * video from its MP4 container and picks a poster image for it, then writes
+ * dist/video-manifest.json for the build to add to each exercise.
+ *
+ * A poster next to the video with the same name (push-up.poster.jpg for
+ * push-up.mp4) is used as is. Videos without one get a frame extracted with
+ * ffmpeg when it is installed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const glob = require('glob');
+const { execFileSync } = require('child_process');
+const { readMp4Metadata } = require('./mp4');
+const {
+  SOURCE_DIR,
+  VIDEO_MANIFEST_PATH,
+  toAssetPath,
+  hashFile,
+  writeHashedAsset,
+  builtAssetExists,
+  readAssetFile,
+  writeAssetFile,
+  removeUnusedAssets
+} = require('./assets');
+
+// Configuration
+const VIDEOS_DIR = path.join(SOURCE_DIR, 'videos');
+const POSTER_EXTENSIONS = ['jpg', 'jpeg', 'png', 'webp'];
+const POSTER_TIME = 1; // Seconds into the video, past fade-ins
+
+const MEDIA_TYPES = {
+  mp4: 'video/mp4',
+  m4v: 'video/mp4',
+  mov: 'video/quicktime'
+};
+
+/**
+ * Find a poster image added next to a video
+ * @param {string} filePath - Path to the video
+ * @returns {string|null} Asset path of the poster
+ */
+function findRegisteredPoster(filePath) {
+  const base = filePath.slice(0, -path.extname(filePath).length);
+  const poster = POSTER_EXTENSIONS
+    .map(extension => `${base}.poster.${extension}`)
+    .find(candidate => fs.existsSync(candidate));
+
+  return poster ? toAssetPath(poster) : null;
+}
+
+/**
+ * Extract a poster frame with ffmpeg
+ * @param {string} filePath - Path to the video
+ * @param {number} duration - Length of the video in seconds
+ * @returns {Buffer|null} JPEG image, or null if ffmpeg is not installed
+ * @throws {Error} If ffmpeg cannot read the video
+ */
+function extractPosterFrame(filePath, duration) {
+  try {
+    return execFileSync('ffmpeg', [
+      '-v', 'error',
+      '-ss', String(Math.min(POSTER_TIME, duration / 2)),
+      '-i', filePath,
+      '-frames:v', '1',
+      '-f', 'image2',
+      '-c:v', 'mjpeg',
+      '-q:v', '3',
+      'pipe:1'
+    ], { maxBuffer: 16 * 1024 * 1024, stdio: ['ignore', 'pipe', 'pipe'] });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw new Error(`ffmpeg could not extract a poster: ${String(error.stderr || error.message).trim()}`);
+  }
+}
+
+/**
+ * Read the metadata and poster of a video
+ * @param {string} filePath - Path to the video
+ * @param {Object} previous - Manifest entry from the previous run
+ * @returns {Promise<Object>} - Manifest entry and processing details
+ */
+async function processVideo(filePath, previous) {
+  const filename = path.basename(filePath);
+  const key = toAssetPath(filePath);
+  const hash = await hashFile(filePath);
+  const registered = findRegisteredPoster(filePath);
+
+  // Extracting a frame is the slow part, reuse it while the video is unchanged
+  if (!registered && previous && previous.hash === hash && previous.poster &&
+    previous.poster.source === 'generated' && builtAssetExists(previous.poster.path)) {
+    return {
+      file: filename,
+      entry: previous,
+      skipped: true
+    };
+  }
+
+  try {
+    const metadata = readMp4Metadata(filePath);
+    let poster = registered ? { path: registered, source: 'registered' } : null;
+
+    if (!poster) {
+      const frame = extractPosterFrame(filePath, metadata.duration);
+      if (frame) {
+        // e.g. videos/push-up.mp4 -> posters/push-up.jpg
+        const posterPath = key.replace(/^videos\//, 'posters/').replace(/\.[^.]+$/, '.jpg');
+        poster = { path: writeHashedAsset(posterPath, frame), source: 'generated' };
+      }
+    }
+
+    return {
+      file: filename,
+      entry: {
+        hash,
+        type: MEDIA_TYPES[path.extname(filename).slice(1).toLowerCase()],
+        ...metadata,
+        poster
+      }
+    };
+  } catch (error) {
+    console.error(`Error reading ${filename}: ${error.message}`);
+    return {
+      file: filename,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Process all videos and write the video manifest
+ */
+async function generateVideoManifest() {
+  const videoFiles = glob.sync(`${VIDEOS_DIR}/**/*.{mp4,m4v,mov}`).sort();
+
+  console.log(`Found ${videoFiles.length} videos to process.`);
+
+  const previous = readAssetFile(VIDEO_MANIFEST_PATH);
+  const videos = {};
+  let processedCount = 0;
+  let errorCount = 0;
+  let skippedCount = 0;
+  let missingPosters = 0;
+
+  // Process each video
+  for (const file of videoFiles) {
+    const key = toAssetPath(file);
+    const result = await processVideo(file, previous[key]);
+
+    if (result.entry) {
+      videos[key] = result.entry;
+
+      if (!result.entry.poster) {
+        missingPosters++;
+        console.warn(`No poster for ${result.file}, add ${path.basename(file, path.extname(file))}.poster.jpg next to it or install ffmpeg`);
+      }
+    }
+
+    if (result.error) {
+      errorCount++;
+    } else if (result.skipped) {
+      skippedCount++;
+    } else {
+      processedCount++;
+
+      const { duration, width, height, videoCodec } = result.entry;
+      console.log(`Read ${result.file}: ${duration}s, ${width}x${height}, ${videoCodec}`);
+    }
+  }
+
+  const generated = Object.values(videos)
+    .filter(entry => entry.poster && entry.poster.source === 'generated')
+    .map(entry => entry.poster.path);
+  const removedCount = removeUnusedAssets('posters/**/*', new Set(generated));
+
+  console.log('\nVideo manifest generation complete!');
+  console.log(`Processed: ${processedCount} videos`);
+  console.log(`Skipped: ${skippedCount} videos`);
+  console.log(`Errors: ${errorCount} videos`);
+  console.log(`Without poster: ${missingPosters} videos`);
+  console.log(`Removed: ${removedCount} stale posters`);
+
+  // Write the manifest read by md-to-json.js
+  writeAssetFile(VIDEO_MANIFEST_PATH, videos);
+
+  console.log(`Video manifest written to ${VIDEO_MANIFEST_PATH}`);
+}
+
+// Execute
+generateVideoManifest().catch(error => {
+  console.error('Error generating video manifest:', error);
+  process.exit(1);
+});
@@ -0,0 +1,445 @@
+/**
+ * Lint rules for exercise files
+ *
+ * Each rule checks a parsed exercise document and returns the problems it
+ * finds with their line numbers. Rules run at their default level unless
+ * lint.config.json, or a contributor's untracked lint.config.local.json,
+ * sets them to "error", "warn" or "off". Fixable rules can also rewrite the
+ * file content to resolve their problems.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { FRONTMATTER_REGEX, findKeyLine, lineAt, extractMediaLinks } = require('./document');
+const { normalizeMuscles } = require('./taxonomy');
+
+// Shared settings first, then local overrides that are not committed
+const CONFIG_PATHS = [
+  path.join(__dirname, '..', 'lint.config.json'),
+  path.join(__dirname, '..', 'lint.config.local.json')
+];
+const LEVELS = ['error', 'warn', 'off'];
+const REQUIRED_SECTIONS = ['description', 'instructions'];
+const LOWERCASE_FIELDS = ['primaryMuscles', 'secondaryMuscles', 'equipment', 'tags'];
+const KEY_LINE_REGEX = /^([A-Za-z_][\w-]*)[ \t]*:(?:[ \t]|$)/; // Top-level frontmatter key
+const COMMENT_REGEX = /(^|\s)#/;
+
+/**
+ * Error raised when a fix cannot be applied without losing content
+ */
+class FixSkippedError extends Error {}
+
+/**
+ * Normalize a list value to lowercase words joined by hyphens
+ * @param {*} value - Value from the frontmatter
+ * @returns {string} Normalized value
+ */
+function normalizeValue(value) {
+  return String(value).trim().toLowerCase().replace(/[\s_]+/g, '-');
+}
+
+/**
+ * Order frontmatter keys as in the schema, unknown keys last
+ * @param {Object} metadata - Frontmatter metadata
+ * @param {Object} schema - Exercise schema
+ * @returns {Array<string>} Keys in canonical order
+ */
+function canonicalKeyOrder(metadata, schema) {
+  const order = Object.keys(schema.properties);
+  const rank = key => (order.includes(key) ? order.indexOf(key) : order.length);
+
+  return Object.keys(metadata).sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+}
+
+/**
+ * Split frontmatter into the text of each top-level key
+ * Comments and blank lines belong to the key that follows them.
+ * @param {string} frontmatter - Frontmatter text without the delimiters
+ * @returns {Object} Keys as { key, leading, lines } and the lines after the last key
+ */
+function splitFrontmatter(frontmatter) {
+  const keys = [];
+  let pending = [];
+
+  frontmatter.split('\n').forEach(line => {
+    const match = line.match(KEY_LINE_REGEX);
+
+    if (match) {
+      keys.push({ key: match[1], leading: pending, lines: [line] });
+      pending = [];
+    } else if (keys.length > 0 && /^[ \t-]/.test(line) && line.trim() !== '') {
+      // Continued value, such as a block list item
+      const current = keys[keys.length - 1];
+      current.lines.push(...pending, line);
+      pending = [];
+    } else {
+      pending.push(line);
+    }
+  });
+
+  return { keys, trailing: pending };
+}
+
+/**
+ * Rewrite the frontmatter of a file, leaving the body untouched
+ * Only keys whose value changes are serialized again, the others keep their
+ * text, quoting and comments and are only moved.
+ * @param {string} content - File content
+ * @param {Function} transform - Receives and returns the metadata
+ * @returns {string} Updated content
+ * @throws {FixSkippedError} If a changed key has comments or the result would not parse the same
+ */
+function rewriteFrontmatter(content, transform) {
+  const match = content.match(FRONTMATTER_REGEX);
+
+  if (!match) {
+    return content;
+  }
+
+  const metadata = transform(yaml.load(match[1]));
+  const original = yaml.load(match[1]);
+  const { keys, trailing } = splitFrontmatter(match[1]);
+
+  const lines = Object.keys(metadata).flatMap(key => {
+    const block = keys.find(entry => entry.key === key);
+
+    if (block && JSON.stringify(original[key]) === JSON.stringify(metadata[key])) {
+      return [...block.leading, ...block.lines];
+    }
+    if (block && block.lines.some(line => COMMENT_REGEX.test(line))) {
+      throw new FixSkippedError(`"${key}" has comments, fix it by hand`);
+    }
+
+    const dumped = yaml.dump({ [key]: metadata[key] }, { flowLevel: 1, lineWidth: -1 }).trimEnd();
+    return [...(block ? block.leading : []), ...dumped.split('\n')];
+  });
+  const frontmatter = [...lines, ...trailing].join('\n');
+
+  // Guard against YAML the key splitting does not understand, such as anchors
+  if (JSON.stringify(yaml.load(frontmatter)) !== JSON.stringify(metadata)) {
+    throw new FixSkippedError('the frontmatter could not be rewritten without changing it, fix it by hand');
+  }
+
+  const frontmatterEnd = match[0].length - match[2].length;
+  return `---\n${frontmatter}\n---\n${content.slice(frontmatterEnd)}`;
+}
+
+/**
+ * Remove trailing whitespace from a line, keeping markdown hard line breaks
+ * @param {string} line - Line without its newline
+ * @returns {string} Trimmed line
+ */
+function trimLine(line) {
+  return /\S {2}$/.test(line) && !/\S {3,}$/.test(line) ? line : line.replace(/[ \t]+$/, '');
+}
+
+/**
+ * Remove trailing whitespace from every line of a file
+ * Hard line breaks only mean something in the body, frontmatter lines are trimmed fully.
+ * @param {string} content - File content
+ * @returns {Array<string>} Trimmed lines
+ */
+function trimLines(content) {
+  const match = content.match(FRONTMATTER_REGEX);
+  const frontmatterLines = match ? lineAt(content, match[0].length - match[2].length) - 1 : 0;
+
+  return content.split('\n').map((line, index) => (
+    index < frontmatterLines ? line.replace(/[ \t]+$/, '') : trimLine(line)
+  ));
+}
+
+/**
+ * Check a single exercise document
+ * @callback CheckFile
+ * @param {Object} doc - Parsed document with its file path
+ * @param {Object} context - Schema validator, muscle taxonomy and all documents
+ * @returns {Array<Object>} Problems as { line, message }
+ */
+
+/**
+ * Resolve the problems of a rule in the file content
+ * @callback FixContent
+ * @param {string} content - File content
+ * @param {Object} context - Same context as the check
+ * @returns {string} Fixed content
+ */
+
+/**
+ * Available rules, fixable rules are applied in this order
+ * Rules marked rawText check and fix the text without parsing it, so they
+ * also repair files that only parse once fixed.
+ * @type {Object<string, { level: string, description: string, check: CheckFile, fix?: FixContent, rawText?: boolean }>}
+ */
+const RULES = {
+  'line-endings': {
+    level: 'error',
+    description: 'Lines end with LF, not CRLF',
+    rawText: true,
+    check: doc => (doc.raw.includes('\r') ? [{
+      line: lineAt(doc.raw, doc.raw.indexOf('\r')),
+      message: 'File uses CRLF line endings'
+    }] : []),
+    fix: content => content.replace(/\r\n?/g, '\n')
+  },
+
+  'trailing-whitespace': {
+    level: 'warn',
+    description: 'No trailing whitespace on lines or blank lines at the end of the file',
+    rawText: true,
+    check: doc => {
+      const lines = doc.content.split('\n');
+      const trimmedLines = trimLines(doc.content);
+      const problems = lines
+        .map((line, index) => ({ line: index + 1, trimmed: trimmedLines[index] !== line }))
+        .filter(({ trimmed }) => trimmed)
+        .map(({ line }) => ({ line, message: 'Trailing whitespace' }));
+
+      if (!/[^\n]\n$/.test(doc.content)) {
+        problems.push({ line: lines.length, message: 'File must end with a single newline' });
+      }
+
+      return problems;
+    },
+    fix: content => `${trimLines(content).join('\n').replace(/\s*$/, '')}\n`
+  },
+
+  'value-casing': {
+    level: 'warn',
+    description: 'Muscles, equipment and tags are lowercase and hyphenated',
+    check: doc => LOWERCASE_FIELDS
+      .filter(field => Array.isArray(doc.metadata[field]))
+      .flatMap(field => doc.metadata[field]
+        .filter(value => normalizeValue(value) !== value)
+        .map(value => ({
+          line: findKeyLine(doc.content, field),
+          message: `${field} value "${value}" should be "${normalizeValue(value)}"`
+        }))),
+    fix: content => rewriteFrontmatter(content, metadata => {
+      LOWERCASE_FIELDS
+        .filter(field => Array.isArray(metadata[field]))
+        .forEach(field => {
+          metadata[field] = [...new Set(metadata[field].map(normalizeValue))];
+        });
+      return metadata;
+    })
+  },
+
+  'frontmatter-order': {
+    level: 'warn',
+    description: 'Frontmatter keys follow the order of schemas/exercise.json',
+    check: (doc, { schema }) => {
+      const keys = Object.keys(doc.metadata);
+      const expected = canonicalKeyOrder(doc.metadata, schema);
+      const index = keys.findIndex((key, i) => key !== expected[i]);
+
+      return index === -1 ? [] : [{
+        line: findKeyLine(doc.content, keys[index]),
+        message: `Frontmatter keys should be ordered: ${expected.join(', ')}`
+      }];
+    },
+    fix: (content, { schema }) => rewriteFrontmatter(content, metadata =>
+      Object.fromEntries(canonicalKeyOrder(metadata, schema).map(key => [key, metadata[key]]))
+    )
+  },
+
+  'frontmatter-schema': {
+    level: 'error',
+    description: 'Frontmatter matches schemas/exercise.json',
+    check: (doc, { validate }) => {
+      if (validate(doc.metadata)) {
+        return [];
+      }
+
+      return validate.errors.map(error => {
+        const key = error.instancePath.split('/')[1] || error.params.missingProperty;
+        return {
+          line: key ? findKeyLine(doc.content, key) : 1,
+          message: `${error.instancePath || '/'}: ${error.message}`
+        };
+      });
+    }
+  },
+
+  'known-muscles': {
+    level: 'error',
+    description: 'Muscles are listed in taxonomy/muscles.json',
+    check: (doc, { taxonomy }) => ['primaryMuscles', 'secondaryMuscles']
+      // Malformed lists are reported by frontmatter-schema
+      .filter(field => taxonomy && Array.isArray(doc.metadata[field]))
+      .flatMap(field => normalizeMuscles(taxonomy, doc.metadata[field]).unknown.map(name => ({
+        line: findKeyLine(doc.content, field),
+        message: `Unknown muscle "${name}", add it to taxonomy/muscles.json or use an existing muscle or alias`
+      })))
+  },
+
+  'id-matches-filename': {
+    level: 'error',
+    description: 'The id is the file name without .md',
+    check: doc => {
+      const expected = path.basename(doc.file, '.md');
+      return doc.metadata.id === expected ? [] : [{
+        line: findKeyLine(doc.content, 'id'),
+        message: `id "${doc.metadata.id}" does not match the file name, expected "${expected}"`
+      }];
+    }
+  },
+
+  'category-matches-folder': {
+    level: 'error',
+    description: 'The category matches the categories/<category> folder',
+    check: doc => {
+      const match = doc.file.split(path.sep).join('/').match(/\/categories\/([^/]+)\//);
+      return !match || doc.metadata.category === match[1] ? [] : [{
+        line: findKeyLine(doc.content, 'category'),
+        message: `category "${doc.metadata.category}" does not match the folder "${match[1]}"`
+      }];
+    }
+  },
+
+  'unique-id': {
+    level: 'error',
+    description: 'No two exercise files share an id',
+    check: (doc, { documents }) => {
+      const first = documents.find(other => other.metadata.id === doc.metadata.id);
+      return first === doc ? [] : [{
+        line: findKeyLine(doc.content, 'id'),
+        message: `id "${doc.metadata.id}" is already used by ${path.relative(path.dirname(doc.file), first.file)}`
+      }];
+    }
+  },
+
+  'required-sections': {
+    level: 'error',
+    description: 'Description and Instructions sections exist and are not empty',
+    check: doc => REQUIRED_SECTIONS.flatMap(name => {
+      const heading = doc.headings.find(h => h.text.toLowerCase() === name);
+      const title = name.charAt(0).toUpperCase() + name.slice(1);
+
+      if (!heading) {
+        return [{ line: doc.bodyLine, message: `Missing "## ${title}" section` }];
+      }
+      if (doc.sections[name].length === 0) {
+        return [{ line: heading.line, message: `"${heading.text}" section is empty` }];
+      }
+      return [];
+    })
+  },
+
+  'asset-exists': {
+    level: 'error',
+    description: 'Linked images and videos exist in the repository',
+    check: doc => {
+      const { images, videos } = extractMediaLinks(doc.content);
+
+      return [...images, ...videos]
+        // Only repository files can be checked
+        .filter(({ link }) => link && !/^[a-z]+:\/\//i.test(link))
+        .filter(({ link }) => !fs.existsSync(path.resolve(path.dirname(doc.file), link)))
+        .map(({ link, index }) => ({ line: lineAt(doc.content, index), message: `${link} does not exist` }));
+    }
+  },
+
+  'image-alt-text': {
+    level: 'error',
+    description: 'Images have alt text for screen readers',
+    check: doc => extractMediaLinks(doc.content).images
+      .filter(({ text }) => !text)
+      .map(({ link, index }) => ({
+        line: lineAt(doc.content, index),
+        message: `Image ${link} has no alt text, describe it in ![...](${link})`
+      }))
+  }
+};
+
+/**
+ * Load rule levels, applying lint.config.json and lint.config.local.json over the defaults
+ * @returns {Object<string, string>} Rule name -> level
+ * @throws {Error} If a configuration names an unknown rule or level
+ */
+function loadRuleLevels() {
+  const levels = Object.fromEntries(Object.entries(RULES).map(([name, rule]) => [name, rule.level]));
+
+  CONFIG_PATHS.filter(configPath => fs.existsSync(configPath)).forEach(configPath => {
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    const configName = path.basename(configPath);
+
+    Object.entries(config.rules || {}).forEach(([name, level]) => {
+      if (!RULES[name]) {
+        throw new Error(`Unknown lint rule "${name}" in ${configName}`);
+      }
+      if (!LEVELS.includes(level)) {
+        throw new Error(`Lint rule "${name}" in ${configName} must be one of: ${LEVELS.join(', ')}`);
+      }
+      levels[name] = level;
+    });
+  });
+
+  return levels;
+}
+
+/**
+ * Apply the fixes of enabled rules that report problems
+ * @param {Function} parse - Builds a document from file content
+ * @param {string} content - Original file content
+ * @param {Object} context - Shared data the rules need
+ * @param {Object<string, string>} levels - Rule levels
+ * @returns {Object} Fixed content, the rules that changed it and the fixes skipped as { rule, reason }
+ */
+function fixContent(parse, content, context, levels) {
+  const applied = [];
+  const skipped = [];
+
+  Object.entries(RULES)
+    .filter(([name, rule]) => rule.fix && levels[name] !== 'off')
+    .forEach(([name, rule]) => {
+      if (!rule.rawText && rule.check(parse(content), context).length === 0) {
+        return;
+      }
+
+      let fixed;
+      try {
+        fixed = rule.fix(content, context);
+      } catch (error) {
+        if (!(error instanceof FixSkippedError)) {
+          throw error;
+        }
+        skipped.push({ rule: name, reason: error.message });
+        return;
+      }
+
+      if (fixed !== content) {
+        content = fixed;
+        applied.push(name);
+      }
+    });
+
+  return { content, applied, skipped };
+}
+
+/**
+ * Run the enabled rules against a document
+ * @param {Object} doc - Parsed document with its file path
+ * @param {Object} context - Shared data the rules need
+ * @param {Object<string, string>} levels - Rule levels
+ * @returns {Array<Object>} Problems as { file, line, rule, severity, message }
+ */
+function lintDocument(doc, context, levels) {
+  return Object.entries(RULES)
+    .filter(([name]) => levels[name] !== 'off')
+    .flatMap(([name, rule]) => rule.check(doc, context).map(problem => ({
+      file: doc.file,
+      line: problem.line,
+      rule: name,
+      severity: levels[name] === 'error' ? 'error' : 'warning',
+      message: problem.message
+    })))
+    .sort((a, b) => a.line - b.line);
+}
+
+module.exports = {
+  RULES,
+  loadRuleLevels,
+  lintDocument,
+  fixContent
+};
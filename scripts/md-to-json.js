@@ -5,21 +5,68 @@
  * 
  * This script traverses the exercises directory, parses markdown files,
  * generates optimized JSON files, and maintains version tracking.
+ *
+ * Usage: node scripts/md-to-json.js [--git-dates] [--watch]
  */
 
 const fs = require('fs');
 const path = require('path');
-const yaml = require('js-yaml');
-const marked = require('marked');
 const glob = require('glob');
 const Ajv = require('ajv');
 const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+const { loadMuscleTaxonomy, normalizeMuscles } = require('./taxonomy');
+const { INDEX_FILENAME, findDocuments, getTranslationLocale, getBaseFile, parseDocument, extractMediaLinks } = require('./document');
+const { ASSET_MAP_PATH, IMAGE_MANIFEST_PATH, VIDEO_MANIFEST_PATH, toAssetPath, readAssetFile } = require('./assets');
+const { loadRuleLevels, lintDocument } = require('./lint-rules');
+const { buildDocument, checkTranslation, checkProgressionLinks } = require('./checks');
 
 // Configuration
 const EXERCISES_DIR = path.join(__dirname, '..', 'exercises');
+const WORKOUTS_DIR = path.join(__dirname, '..', 'workouts');
 const OUTPUT_DIR = path.join(__dirname, '..', 'api', 'data');
+const ROOT_DIR = path.join(__dirname, '..');
 const SCHEMA_PATH = path.join(__dirname, '..', 'schemas', 'exercise.json');
+const WORKOUT_SCHEMA_PATH = path.join(__dirname, '..', 'schemas', 'workout.json');
 const BASE_URL = process.env.BASE_URL || 'https://raw.githubusercontent.com/yourusername/WO-App-Exercises/main';
+// Where the API serves /assets, required once the asset scripts have written to dist/assets
+const ASSETS_URL = `${(process.env.ASSETS_URL || `${BASE_URL}/assets`).replace(/\/$/, '')}/`;
+const MAX_CHANGELOG_ENTRIES = 100; // Older versions require a full resync
+const CHANGE_TYPES = ['patch', 'minor', 'major']; // In order of severity
+const DEFAULT_LOCALE = 'en';
+const USE_GIT_DATES = process.argv.includes('--git-dates');
+const WATCH_DEBOUNCE_MS = 200;
+const DEFAULT_REP_SECONDS = 3; // Per rep when no tempo is given
+
+// Prescriptions for exercises that do not set their own
+const DEFAULT_PRESCRIPTIONS = {
+  beginner: { sets: 2, reps: 10, rest: 60 },
+  intermediate: { sets: 3, reps: 10, rest: 75 },
+  advanced: { sets: 4, reps: 8, rest: 90 }
+};
+
+// Media types of the images and videos exercises link to
+const MEDIA_TYPES = {
+  avif: 'image/avif',
+  gif: 'image/gif',
+  jpeg: 'image/jpeg',
+  jpg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  m4v: 'video/mp4',
+  mov: 'video/quicktime',
+  mp4: 'video/mp4',
+  webm: 'video/webm'
+};
+
+// MET values for exercises that do not set their own, after the Compendium of Physical Activities
+const CATEGORY_METS = {
+  'upper-body': { light: 2.8, moderate: 3.8, vigorous: 8.0 },
+  'lower-body': { light: 3.5, moderate: 5.0, vigorous: 8.0 },
+  core: { light: 2.8, moderate: 3.8, vigorous: 5.0 },
+  cardio: { light: 4.0, moderate: 7.0, vigorous: 10.0 },
+  flexibility: { light: 2.3, moderate: 2.5, vigorous: 3.0 }
+};
 
 // Create output directory if it doesn't exist
 if (!fs.existsSync(OUTPUT_DIR)) {
@@ -30,111 +77,322 @@ if (!fs.existsSync(OUTPUT_DIR)) {
 const schema = JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8'));
 const ajv = new Ajv();
 const validate = ajv.compile(schema);
+const LEVELS = schema.properties.difficulty.enum;
+const validateWorkout = ajv.compile(JSON.parse(fs.readFileSync(WORKOUT_SCHEMA_PATH, 'utf8')));
+const muscleTaxonomy = loadMuscleTaxonomy();
 
-// Get current version or create if it doesn't exist
-let currentVersion = '1.0.0';
 const versionPath = path.join(OUTPUT_DIR, 'version.json');
-if (fs.existsSync(versionPath)) {
-  const versionData = JSON.parse(fs.readFileSync(versionPath, 'utf8'));
-  currentVersion = versionData.version;
-}
+
+// Parsed markdown files by path, reused while watching until a file's hash changes
+const parseCache = new Map();
+
+// Source files by path while watching: content, hash and what was derived from them
+const sourceCache = new Map();
+
+// Content of the outputs written or found up to date, so unchanged outputs are not read back
+const writtenOutputs = new Map();
 
 /**
- * Calculate hash of content for version tracking
- * @param {string} content - Content to hash
- * @returns {string} MD5 hash
+ * Get the timestamp for content changed in this build
+ * SOURCE_DATE_EPOCH pins it for reproducible builds.
+ * @returns {string} ISO date
  */
-function calculateHash(content) {
-  return crypto.createHash('md5').update(content).digest('hex');
+function getBuildTime() {
+  return process.env.SOURCE_DATE_EPOCH
+    ? new Date(Number(process.env.SOURCE_DATE_EPOCH) * 1000).toISOString()
+    : new Date().toISOString();
 }
 
 /**
- * Parse markdown file with YAML frontmatter
- * @param {string} filePath - Path to markdown file
- * @returns {Object} Parsed data
+ * Parse a file unless it was already parsed with the same content
+ * @param {string} file - Path to the markdown file
+ * @param {string} key - Hash of everything the parsed result depends on
+ * @param {Function} parse - Parses the file
+ * @returns {Object} Copy of the parsed data, safe to modify
  */
-function parseMarkdownFile(filePath) {
-  const content = fs.readFileSync(filePath, 'utf8');
+function parseCached(file, key, parse) {
+  const cached = parseCache.get(file);
   
-  // Extract YAML frontmatter
-  const frontmatterMatch = content.match(/^---\n([\s\S]*?)\n---\n([\s\S]*)$/);
+  if (!cached || cached.key !== key) {
+    parseCache.set(file, { key, data: parse() });
+  }
   
-  if (!frontmatterMatch) {
-    throw new Error(`No valid frontmatter found in ${filePath}`);
+  return JSON.parse(JSON.stringify(parseCache.get(file).data));
+}
+
+/**
+ * Read a source file, or reuse the last read while watching if it has not changed since
+ * @param {string} file - Path to the markdown file
+ * @param {Set<string>|null} changedFiles - Files changed since the last build, null to read every file
+ * @returns {Object} Content and hash, derived results are stored on it for the next build
+ */
+function readSource(file, changedFiles) {
+  const cached = sourceCache.get(file);
+  
+  if (cached && changedFiles && !changedFiles.has(file)) {
+    return cached;
   }
   
-  const [, frontmatter, markdown] = frontmatterMatch;
+  const content = fs.readFileSync(file, 'utf8');
+  const source = { content, hash: calculateHash(content) };
+  sourceCache.set(file, source);
+  return source;
+}
+
+/**
+ * Describe how many of the files found changed since the last build
+ * @param {Array<string>} found - Files found
+ * @param {Set<string>|null} changedFiles - Files changed since the last build, null to read every file
+ * @returns {string} Suffix for the file count, empty when every file is read
+ */
+function describeChanged(found, changedFiles) {
+  return changedFiles ? `, ${found.filter(file => changedFiles.has(file)).length} changed` : '';
+}
+
+/**
+ * Print the problems of a file, one line each
+ * @param {string} file - Path to the markdown file
+ * @param {Array<string>} messages - Problems found
+ */
+function reportFileErrors(file, messages) {
+  const relativePath = path.relative(process.cwd(), file);
+  messages.forEach(message => console.error(`❌ ${relativePath}: ${message}`));
+}
+
+/**
+ * Format schema validation errors
+ * @param {Array<Object>} errors - Ajv errors
+ * @returns {Array<string>} Messages
+ */
+function formatSchemaErrors(errors) {
+  return (errors || []).map(error => `${error.instancePath || '/'} ${error.message}`);
+}
+
+/**
+ * Write a JSON output file unless it already has the same content
+ * Skipping unchanged files keeps rebuilds cheap and file watchers quiet.
+ * @param {string} filePath - Output path
+ * @param {Object} data - Data to write
+ * @returns {boolean} True if the file was written
+ */
+function writeJson(filePath, data) {
+  const content = JSON.stringify(data, null, 2);
   
-  // Parse YAML frontmatter
-  const metadata = yaml.load(frontmatter);
+  if (writtenOutputs.get(filePath) === content && fs.existsSync(filePath)) {
+    return false;
+  }
   
-  // Parse markdown content
-  const tokens = marked.lexer(markdown);
+  writtenOutputs.set(filePath, content);
   
-  // Extract sections from markdown
-  const sections = {};
-  let currentSection = null;
+  if (fs.existsSync(filePath) && fs.readFileSync(filePath, 'utf8') === content) {
+    return false;
+  }
   
-  for (const token of tokens) {
-    if (token.type === 'heading') {
-      currentSection = token.text.toLowerCase();
-      sections[currentSection] = [];
-    } else if (currentSection && (token.type === 'paragraph' || token.type === 'list')) {
-      if (token.type === 'list') {
-        sections[currentSection] = token.items.map(item => item.text);
-      } else {
-        sections[currentSection].push(token.text);
-      }
-    }
+  fs.writeFileSync(filePath, content);
+  return true;
+}
+
+/**
+ * Read the file hashes saved by the previous build
+ * Files are stored relative to the repository so the output does not depend
+ * on where it is checked out.
+ * @param {string} filePath - Path to file-hashes.json
+ * @returns {Object} Hash entries by absolute file path
+ */
+function readFileHashes(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return {};
   }
   
-  // Generate absolute URLs for assets
-  const images = extractImageLinks(markdown).map(imgPath => {
-    // Convert relative paths to absolute URLs
-    if (imgPath.startsWith('../')) {
-      return `${BASE_URL}/${imgPath.replace(/^\.\.\//, '')}`;
-    }
-    return imgPath;
-  });
+  // Older builds stored absolute paths, which resolve to themselves
+  const stored = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return Object.fromEntries(Object.entries(stored).map(([file, entry]) => [path.resolve(ROOT_DIR, file), entry]));
+}
+
+/**
+ * Save the file hashes of this build
+ * @param {string} filePath - Path to file-hashes.json
+ * @param {Object} hashes - Hash entries by absolute file path
+ */
+function writeFileHashes(filePath, hashes) {
+  writeJson(filePath, Object.fromEntries(Object.entries(hashes).map(([file, entry]) => [toAssetPath(file, ROOT_DIR), entry])));
+}
+
+/**
+ * Calculate hash of content for version tracking
+ * @param {string} content - Content to hash
+ * @returns {string} MD5 hash
+ */
+function calculateHash(content) {
+  return crypto.createHash('md5').update(content).digest('hex');
+}
+
+/**
+ * Parse markdown file with YAML frontmatter
+ * @param {string} filePath - Path to markdown file
+ * @returns {Object} Parsed data
+ */
+function parseMarkdownFile(filePath) {
+  const { metadata, markdown, sections } = parseDocument(filePath);
   
-  const videos = extractVideoLinks(markdown).map(videoPath => {
-    if (videoPath.startsWith('../')) {
-      return `${BASE_URL}/${videoPath.replace(/^\.\.\//, '')}`;
-    }
-    return videoPath;
-  });
+  // Generate absolute URLs for assets, dimensions are added from the built assets
+  const media = extractMediaLinks(markdown);
+  const images = media.images.map(({ link, text }) => ({ url: resolveAssetUrl(filePath, link), alt: text }));
+  const videos = media.videos.map(({ link, text }) => ({ url: resolveAssetUrl(filePath, link), caption: text }));
   
   // Add metadata for mobile optimization
   const category = metadata.category;
   const difficulty = metadata.difficulty;
-  
-  // Generate a thumbnail path (assuming there's a thumbnail version of each image)
-  const thumbnails = images.map(imgPath => {
-    const pathParts = imgPath.split('.');
-    const ext = pathParts.pop();
-    return `${pathParts.join('.')}-thumb.${ext}`;
-  });
+  const prescriptions = resolvePrescriptions(metadata.prescriptions);
   
   // Add mobile-specific metadata
   const mobileMetadata = {
     displayOrder: getDifficultyOrder(difficulty),
     categoryDisplayName: getCategoryDisplayName(category),
-    estimatedTime: estimateExerciseTime(metadata),
+    estimatedTime: prescriptions[difficulty] ? prescriptions[difficulty].estimatedTime : null,
     hasVideo: videos.length > 0,
-    thumbnails
+    thumbnails: [], // Filled in from the image manifest
+    placeholders: []
   };
   
   // Combine metadata with parsed sections
   return {
     ...metadata,
+    aliases: parseAliases(metadata.aliases),
+    prescriptions,
+    ...resolveMet(metadata),
     description: sections.description ? sections.description.join('\n') : '',
     instructions: sections.instructions || [],
     tips: sections.tips || [],
     variations: sections.variations || [],
     images,
     videos,
-    mobile: mobileMetadata,
-    updatedAt: new Date().toISOString()
+    mobile: mobileMetadata
+  };
+}
+
+/**
+ * Parse a translated sibling of an exercise file
+ * Metadata is inherited from the base file, only the name, aliases and text
+ * sections are translated. Sections are matched to the base file by position
+ * so their headings can be translated too.
+ * @param {string} filePath - Path to the translated markdown file
+ * @param {string} baseFile - Path to the base markdown file
+ * @returns {Object} Translated fields
+ */
+function parseTranslationFile(filePath, baseFile) {
+  const { metadata, markdown, sections } = parseDocument(filePath);
+  const media = extractMediaLinks(markdown);
+  const baseDocument = parseDocument(baseFile);
+  const baseKeys = Object.keys(baseDocument.sections);
+  const translatedKeys = Object.keys(sections);
+  
+  const section = name => {
+    const index = baseKeys.indexOf(name);
+    return index === -1 ? undefined : sections[translatedKeys[index]];
+  };
+  
+  const description = section('description');
+  
+  return {
+    id: baseDocument.metadata.id,
+    locale: getTranslationLocale(filePath),
+    name: metadata.name,
+    aliases: parseAliases(metadata.aliases),
+    description: description ? description.join('\n') : undefined,
+    instructions: section('instructions'),
+    tips: section('tips'),
+    variations: section('variations'),
+    // Matched to the base file's images and videos by position
+    imageAlts: media.images.map(image => image.text),
+    videoCaptions: media.videos.map(video => video.text),
+    // The base text changed since it was translated
+    stale: metadata.sourceHash !== calculateHash(baseDocument.markdown)
+  };
+}
+
+/**
+ * Apply translated fields to an exercise, falling back to the base text
+ * @param {Object} exercise - Base exercise
+ * @param {Object} translation - Translated fields
+ * @returns {Object} Localized exercise
+ */
+function localizeExercise(exercise, translation) {
+  const pick = field => (translation[field] !== undefined ? translation[field] : exercise[field]);
+  
+  return {
+    ...exercise,
+    name: pick('name'),
+    // Keep the original names searchable in every language
+    aliases: parseAliases([...translation.aliases, exercise.name, ...exercise.aliases]),
+    description: pick('description'),
+    instructions: pick('instructions'),
+    tips: pick('tips'),
+    variations: pick('variations'),
+    images: exercise.images.map((image, index) => ({ ...image, alt: translation.imageAlts[index] || image.alt })),
+    videos: exercise.videos.map((video, index) => ({ ...video, caption: translation.videoCaptions[index] || video.caption })),
+    locale: translation.locale,
+    localeFallback: false,
+    translationStale: translation.stale,
+    // A new translation updates the localized exercise
+    updatedAt: [exercise.updatedAt, translation.updatedAt].sort().pop()
+  };
+}
+
+/**
+ * Order the keys of an exercise as in the schema, generated fields last
+ * Frontmatter order varies between files, the output should not.
+ * @param {Object} exercise - Exercise data
+ * @returns {Object} Exercise with its keys in a stable order
+ */
+function orderExerciseKeys(exercise) {
+  const order = Object.keys(schema.properties);
+  const rank = key => (order.includes(key) ? order.indexOf(key) : order.length);
+  const keys = Object.keys(exercise).sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+  
+  return Object.fromEntries(keys.map(key => [key, exercise[key]]));
+}
+
+/**
+ * Normalize alternative exercise names used for search
+ * @param {Array<string>} aliases - Aliases from frontmatter
+ * @returns {Array<string>} Trimmed, de-duplicated aliases
+ */
+function parseAliases(aliases) {
+  if (!Array.isArray(aliases)) {
+    return [];
+  }
+  
+  return [...new Set(aliases.map(alias => String(alias).trim()).filter(Boolean))];
+}
+
+/**
+ * Parse a workout markdown file
+ * @param {string} filePath - Path to markdown file
+ * @returns {Object} Parsed workout with normalized blocks
+ */
+function parseWorkoutFile(filePath) {
+  const { metadata, sections } = parseDocument(filePath);
+  
+  // Fill in block defaults so clients do not have to
+  const blocks = (metadata.blocks || []).map(block => ({
+    ...block,
+    type: block.type || 'straight',
+    rounds: block.rounds || 1,
+    exercises: (block.exercises || []).map(entry => ({
+      ...entry,
+      sets: entry.sets || 1
+    }))
+  }));
+  
+  const exerciseIds = [...new Set(blocks.flatMap(block => block.exercises.map(entry => entry.id)))];
+  
+  return {
+    ...metadata,
+    description: sections.description ? sections.description.join('\n') : '',
+    notes: sections.notes || [],
+    blocks,
+    exerciseIds
   };
 }
 
@@ -170,183 +428,913 @@ function getCategoryDisplayName(category) {
 }
 
 /**
- * Estimate exercise time based on metadata
+ * Get the MET values of an exercise by intensity
+ * A single value is taken as the moderate intensity one.
  * @param {Object} metadata - Exercise metadata
+ * @returns {Object} met table and metSource, exercise or category
+ */
+function resolveMet(metadata) {
+  if (typeof metadata.met === 'number') {
+    return { met: { moderate: metadata.met }, metSource: 'exercise' };
+  }
+  if (metadata.met !== undefined) {
+    return { met: metadata.met, metSource: 'exercise' };
+  }
+  
+  const fallback = CATEGORY_METS[metadata.category];
+  return fallback ? { met: { ...fallback }, metSource: 'category' } : {};
+}
+
+/**
+ * Get the duration of one rep from its tempo
+ * @param {string} [tempo] - Tempo such as 3-1-1-0, X for an explosive phase
+ * @returns {number} Seconds per rep
+ */
+function getRepDuration(tempo) {
+  if (!tempo) {
+    return DEFAULT_REP_SECONDS;
+  }
+  
+  // An explosive phase still takes about a second
+  return String(tempo).split('-').reduce((sum, phase) => sum + (phase === 'X' ? 1 : Number(phase)), 0);
+}
+
+/**
+ * Estimate the time of a prescription, counting the rest after every set
+ * @param {Object} prescription - Sets, reps or duration, rest, tempo and unilateral flag
  * @returns {number} Estimated time in seconds
  */
-function estimateExerciseTime(metadata) {
-  // Default time estimates
-  const baseTime = 30; // 30 seconds per exercise
+function estimatePrescriptionTime(prescription) {
+  const setTime = prescription.duration || prescription.reps * getRepDuration(prescription.tempo);
+  const sides = prescription.unilateral ? 2 : 1;
   
-  // Adjust based on difficulty
-  let difficultyMultiplier = 1;
-  if (metadata.difficulty === 'intermediate') difficultyMultiplier = 1.2;
-  if (metadata.difficulty === 'advanced') difficultyMultiplier = 1.5;
+  return Math.round(prescription.sets * (setTime * sides + prescription.rest));
+}
+
+/**
+ * Estimate the work time of one set of a workout entry
+ * Reps take as long as in the exercise's prescription at the workout's
+ * difficulty, so the time agrees with the exercise's estimatedTime.
+ * @param {Object} entry - Block exercise with reps or a duration
+ * @param {Object} exercise - Exercise data with its prescriptions
+ * @param {string} level - Difficulty of the workout
+ * @returns {number} Seconds of work, both sides of unilateral exercises included
+ */
+function estimateEntryWorkTime(entry, exercise, level) {
+  const prescription = exercise.prescriptions[level];
+  const setTime = entry.duration || entry.reps * getRepDuration(prescription.tempo);
   
-  return Math.round(baseTime * difficultyMultiplier);
+  return Math.round(setTime * (prescription.unilateral ? 2 : 1));
 }
 
 /**
- * Extract image links from markdown
- * @param {string} markdown - Markdown content
- * @returns {Array<string>} Array of image paths
+ * Fill in a prescription for every level with its estimated time
+ * Levels without their own prescription use the nearest one, preferring the
+ * easier level, so hold-based exercises stay hold-based.
+ * @param {Object} [authored] - Prescriptions from the frontmatter by level
+ * @returns {Object} Prescriptions for every level
  */
-function extractImageLinks(markdown) {
-  const regex = /!\[(.*?)\]\((.*?)\)/g;
-  const matches = [];
-  let match;
+function resolvePrescriptions(authored) {
+  const given = authored && typeof authored === 'object' ? authored : {};
+  const defined = LEVELS.filter(level => given[level]);
   
-  while ((match = regex.exec(markdown)) !== null) {
-    matches.push(match[2]);
+  return Object.fromEntries(LEVELS.map((level, index) => {
+    const distance = other => LEVELS.indexOf(other) - index;
+    const nearest = [...defined]
+      .sort((a, b) => Math.abs(distance(a)) - Math.abs(distance(b)) || distance(a) - distance(b))[0];
+    const prescription = nearest ? given[nearest] : DEFAULT_PRESCRIPTIONS[level];
+    
+    return [level, { ...prescription, estimatedTime: estimatePrescriptionTime(prescription) }];
+  }));
+}
+
+/**
+ * Turn an asset link into an absolute URL
+ * @param {string} filePath - Path to the markdown file containing the link
+ * @param {string} link - Link as written, relative to the markdown file
+ * @returns {string} URL under ASSETS_URL or BASE_URL, or the link itself if it is already absolute
+ */
+function resolveAssetUrl(filePath, link) {
+  if (/^[a-z][a-z0-9+.-]*:/i.test(link) || link.startsWith('/')) {
+    return link;
   }
   
-  return matches;
+  const resolved = path.resolve(path.dirname(filePath), link);
+  const assetPath = toAssetPath(resolved);
+  
+  return assetPath.startsWith('../')
+    ? `${BASE_URL}/${toAssetPath(resolved, ROOT_DIR)}`
+    : `${ASSETS_URL}${assetPath}`;
 }
 
 /**
- * Extract video links from markdown
- * @param {string} markdown - Markdown content
- * @returns {Array<string>} Array of video paths
+ * Read the files written by the asset scripts
+ * @returns {Object} Asset map, image manifest and video manifest entries, empty if the scripts have not run
+ * @throws {Error} If there are built files to link and ASSETS_URL is not set
  */
-function extractVideoLinks(markdown) {
-  const regex = /\[.*?[vV]ideo.*?\]\((.*?)\)/g;
-  const matches = [];
-  let match;
+function readAssetFiles() {
+  let assets;
+  
+  try {
+    assets = {
+      map: readAssetFile(ASSET_MAP_PATH),
+      manifest: readAssetFile(IMAGE_MANIFEST_PATH),
+      videos: readAssetFile(VIDEO_MANIFEST_PATH)
+    };
+  } catch (error) {
+    console.warn(`Ignoring built assets: ${error.message}`);
+    return { map: {}, manifest: {}, videos: {} };
+  }
   
-  while ((match = regex.exec(markdown)) !== null) {
-    matches.push(match[1]);
+  // Files in dist/assets are only served by the API, BASE_URL cannot reach them
+  const usesBuildDir = Object.keys(assets.map).length > 0 || Object.keys(assets.manifest).length > 0 ||
+    Object.values(assets.videos).some(entry => entry.poster && entry.poster.source === 'generated');
+  
+  if (usesBuildDir && !process.env.ASSETS_URL) {
+    throw new Error('Set ASSETS_URL to where the API serves /assets to link the files in dist/assets, e.g. ASSETS_URL=http://localhost:3000/assets');
   }
   
-  return matches;
+  return assets;
 }
 
 /**
- * Build muscle reference data
- * @param {Array} exercises - All exercises
- * @returns {Object} Muscle reference data
+ * Get the media type of an asset from its extension
+ * @param {string} url - Asset URL
+ * @returns {string|null} MIME type, or null if the extension is not known
+ */
+function getMediaType(url) {
+  const extension = path.posix.extname(url.replace(/[?#].*$/, '')).slice(1).toLowerCase();
+  return MEDIA_TYPES[extension] || null;
+}
+
+/**
+ * Point asset URLs at the built files and add what is known about each image and video
+ * Optimized files replace their originals. Images get their dimensions and
+ * smallest fallback variant as thumbnail, and an entry in imageSources with
+ * an empty srcset when they have no variants yet. Placeholders hold what a
+ * client needs to draw an image's box before it has loaded. Videos get
+ * their container metadata and poster from the video manifest.
+ * @param {Object} exercise - Parsed exercise data
+ * @param {Object} assets - Asset map, image manifest and video manifest entries
+ * @returns {string} Entries used, to include in the exercise hash
+ */
+function attachAssets(exercise, assets) {
+  const used = {};
+  const getKey = url => (url.startsWith(ASSETS_URL) ? url.slice(ASSETS_URL.length) : null);
+  
+  const toBuiltUrl = url => {
+    const key = getKey(url);
+    if (!key || !assets.map[key]) {
+      return url;
+    }
+    
+    used[`map:${key}`] = assets.map[key];
+    return `${ASSETS_URL}${assets.map[key].path}`;
+  };
+  
+  const getManifestEntry = url => {
+    const key = getKey(url);
+    if (!key || !assets.manifest[key]) {
+      return null;
+    }
+    
+    used[`manifest:${key}`] = assets.manifest[key];
+    return assets.manifest[key];
+  };
+  
+  const entries = exercise.images.map(image => getManifestEntry(image.url));
+  
+  exercise.imageSources = exercise.images.map((image, index) => ({
+    src: toBuiltUrl(image.url),
+    width: entries[index] ? entries[index].width : null,
+    height: entries[index] ? entries[index].height : null,
+    srcset: (entries[index] ? entries[index].variants : []).map(variant => ({
+      url: `${ASSETS_URL}${variant.path}`,
+      type: variant.type,
+      width: variant.width,
+      height: variant.height,
+      bytes: variant.bytes
+    }))
+  }));
+  
+  // AVIF and WebP are listed first, the fallback works everywhere
+  const thumbnails = exercise.imageSources.map(source => {
+    const fallbacks = source.srcset.filter(variant => !['image/avif', 'image/webp'].includes(variant.type));
+    return fallbacks.length > 0
+      ? fallbacks.reduce((smallest, variant) => variant.width < smallest.width ? variant : smallest).url
+      : null;
+  });
+  
+  exercise.images = exercise.images.map((image, index) => {
+    const { src, width, height } = exercise.imageSources[index];
+    return { ...image, url: src, width, height, type: getMediaType(src), thumbnail: thumbnails[index] };
+  });
+  
+  exercise.videos = exercise.videos.map(video => {
+    const key = getKey(video.url);
+    const entry = key && assets.videos[key];
+    const url = toBuiltUrl(video.url);
+    
+    if (!entry) {
+      return {
+        ...video,
+        url,
+        width: null,
+        height: null,
+        type: getMediaType(url),
+        codec: null,
+        audioCodec: null,
+        bytes: null,
+        thumbnail: null,
+        duration: null
+      };
+    }
+    
+    used[`videos:${key}`] = entry;
+    return {
+      ...video,
+      url,
+      width: entry.width,
+      height: entry.height,
+      type: entry.type || getMediaType(url),
+      codec: entry.videoCodec || null,
+      audioCodec: entry.audioCodec || null,
+      bytes: entry.bytes || null,
+      // Registered posters are source images and may have an optimized copy
+      thumbnail: entry.poster ? toBuiltUrl(`${ASSETS_URL}${entry.poster.path}`) : null,
+      duration: entry.duration
+    };
+  });
+  
+  exercise.mobile.thumbnails = thumbnails.filter(Boolean);
+  exercise.mobile.videoDuration = exercise.videos.length > 0 ? exercise.videos[0].duration : null;
+  
+  // Like thumbnails, only for images the image scripts have processed
+  exercise.mobile.placeholders = exercise.images
+    .map((image, index) => ({ image, placeholder: entries[index] && entries[index].placeholder }))
+    .filter(({ placeholder }) => placeholder)
+    .map(({ image: { url, width, height }, placeholder }) => ({
+      url,
+      width,
+      height,
+      aspectRatio: width && height ? Math.round(width / height * 10000) / 10000 : null,
+      dominantColor: placeholder.dominantColor,
+      lqip: placeholder.lqip
+    }));
+  
+  return Object.keys(used).length > 0 ? JSON.stringify(used) : '';
+}
+
+/**
+ * Build muscle reference data following the muscle taxonomy
+ * @param {Array} exercises - All exercises, with canonical muscle IDs
+ * @returns {Object} Muscle groups and muscles with the exercises targeting them
  */
 function buildMuscleReference(exercises) {
-  const muscles = {};
+  const muscles = muscleTaxonomy.muscles.map(muscle => ({
+    id: muscle.id,
+    name: muscle.name,
+    group: muscle.group,
+    aliases: muscle.aliases,
+    exercises: exercises
+      .filter(ex => ex.primaryMuscles.includes(muscle.id) || (ex.secondaryMuscles || []).includes(muscle.id))
+      .map(ex => ({
+        id: ex.id,
+        name: ex.name,
+        isPrimary: ex.primaryMuscles.includes(muscle.id)
+      }))
+  }));
+  
+  const groups = muscleTaxonomy.groups.map(group => ({
+    id: group.id,
+    name: group.name,
+    muscles: muscles.filter(muscle => muscle.group === group.id).map(muscle => muscle.id)
+  }));
+  
+  return { groups, muscles };
+}
+
+/**
+ * Build the progression graph between exercises
+ * Links are made symmetric, so listing B as a progression of A also lists A
+ * as a regression of B. Links to unknown exercises are dropped.
+ * @param {Array} exercises - All exercises, updated with the completed links
+ * @returns {Object} Graph nodes keyed by exercise ID
+ */
+function buildProgressionGraph(exercises) {
+  const nodes = {};
+  const ids = new Set(exercises.map(ex => ex.id));
   
   exercises.forEach(exercise => {
-    // Process primary muscles
-    if (exercise.primaryMuscles) {
-      exercise.primaryMuscles.forEach(muscle => {
-        if (!muscles[muscle]) {
-          muscles[muscle] = { name: muscle, exercises: [] };
-        }
-        
-        muscles[muscle].exercises.push({
-          id: exercise.id,
-          name: exercise.name,
-          isPrimary: true
-        });
-      });
+    nodes[exercise.id] = { easier: new Set(), harder: new Set(), variationOf: null, variations: new Set() };
+  });
+  
+  const link = (easierId, harderId, source) => {
+    if (!ids.has(easierId) || !ids.has(harderId)) {
+      console.warn(`Ignoring progression link to unknown exercise in ${source}`);
+      return;
     }
+    nodes[easierId].harder.add(harderId);
+    nodes[harderId].easier.add(easierId);
+  };
+  
+  exercises.forEach(exercise => {
+    (exercise.progressions || []).forEach(id => link(exercise.id, id, exercise.id));
+    (exercise.regressions || []).forEach(id => link(id, exercise.id, exercise.id));
     
-    // Process secondary muscles
-    if (exercise.secondaryMuscles) {
-      exercise.secondaryMuscles.forEach(muscle => {
-        if (!muscles[muscle]) {
-          muscles[muscle] = { name: muscle, exercises: [] };
-        }
-        
-        // Only add if not already added as primary
-        const alreadyAdded = muscles[muscle].exercises.some(ex => ex.id === exercise.id);
-        if (!alreadyAdded) {
-          muscles[muscle].exercises.push({
-            id: exercise.id,
-            name: exercise.name,
-            isPrimary: false
-          });
-        }
-      });
+    if (exercise.variationOf) {
+      if (ids.has(exercise.variationOf)) {
+        nodes[exercise.id].variationOf = exercise.variationOf;
+        nodes[exercise.variationOf].variations.add(exercise.id);
+      } else {
+        console.warn(`Ignoring variationOf link to unknown exercise in ${exercise.id}`);
+      }
     }
   });
   
-  return Object.values(muscles);
+  // Store the completed links on each exercise and make the graph serializable
+  exercises.forEach(exercise => {
+    const node = nodes[exercise.id];
+    exercise.progressions = [...node.harder].sort();
+    exercise.regressions = [...node.easier].sort();
+    
+    nodes[exercise.id] = {
+      easier: exercise.regressions,
+      harder: exercise.progressions,
+      variationOf: node.variationOf,
+      variations: [...node.variations].sort()
+    };
+  });
+  
+  return nodes;
+}
+
+/**
+ * Get the content hash from a file hash entry
+ * @param {string|Object} entry - Hash entry (plain hash in older builds)
+ * @returns {string|undefined} Content hash
+ */
+function getEntryHash(entry) {
+  return typeof entry === 'string' ? entry : entry && entry.hash;
+}
+
+/**
+ * Read a commit date of a file from the local git history
+ * @param {string} filePath - Path to the file
+ * @param {string} which - created for the commit that added it, updated for the latest one
+ * @returns {string|null} ISO date, or null if git dates are off or unavailable
+ */
+function getGitDate(filePath, which) {
+  if (!USE_GIT_DATES) {
+    return null;
+  }
+  
+  const git = args => execFileSync('git', args, { cwd: path.dirname(filePath), encoding: 'utf8' }).trim();
+  
+  try {
+    // Uncommitted edits are newer than any commit
+    if (which === 'updated' && git(['status', '--porcelain', '--', filePath])) {
+      return null;
+    }
+    
+    const dates = which === 'created'
+      ? git(['log', '--follow', '--diff-filter=A', '--format=%cI', '--', filePath]).split('\n')
+      : [git(['log', '-1', '--format=%cI', '--', filePath])];
+    const date = dates.pop();
+    
+    return date ? new Date(date).toISOString() : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Set createdAt and updatedAt on a file hash entry
+ * Dates carry over from the previous build and updatedAt only moves when
+ * the content hash changes. Moved files keep the dates of their ID.
+ * @param {string} file - Path to the markdown file
+ * @param {Object} entry - Hash entry of this build, with its ID when known
+ * @param {Object} previousHashes - Hash entries from the previous build
+ * @param {string} buildTime - Timestamp for changed content
+ */
+function stampEntry(file, entry, previousHashes, buildTime) {
+  let previous = previousHashes[file];
+  
+  if (previous === undefined && entry.id) {
+    previous = Object.entries(previousHashes)
+      .filter(([otherFile, other]) => other.id === entry.id && other.type === entry.type &&
+        !fs.existsSync(otherFile))
+      .map(([, other]) => other)[0];
+  }
+  
+  const dates = previous && typeof previous === 'object' ? previous : {};
+  const unchanged = getEntryHash(previous) === entry.hash;
+  
+  entry.createdAt = dates.createdAt || getGitDate(file, 'created') || buildTime;
+  entry.updatedAt = (unchanged && dates.updatedAt) || getGitDate(file, 'updated') || buildTime;
+}
+
+/**
+ * Get the exercise ID from a file hash entry
+ * @param {string} file - Path to the markdown file
+ * @param {string|Object} entry - Hash entry (plain hash in older builds)
+ * @returns {string} Exercise ID
+ */
+function getEntryId(file, entry) {
+  if (entry && typeof entry === 'object' && entry.id) {
+    return entry.id;
+  }
+  
+  // Older hash files did not record IDs, fall back to the filename convention
+  return path.basename(file, '.md');
+}
+
+/**
+ * Check whether a file hash entry belongs to a workout
+ * Delta sync only tracks exercises, workouts are always sent in full.
+ * @param {string|Object} entry - Hash entry
+ * @returns {boolean} True for workout files
+ */
+function isWorkoutEntry(entry) {
+  return Boolean(entry && typeof entry === 'object' && entry.type === 'workout');
+}
+
+/**
+ * Check whether a file hash entry belongs to a translation
+ * @param {string|Object} entry - Hash entry
+ * @returns {boolean} True for translated exercise files
+ */
+function isTranslationEntry(entry) {
+  return Boolean(entry && typeof entry === 'object' && entry.type === 'translation');
+}
+
+/**
+ * Compare file hashes between builds to find changed exercises
+ * @param {Object} previousHashes - Hash entries from the previous build
+ * @param {Object} currentHashes - Hash entries from the current build
+ * @returns {Object} Added, modified and removed exercise IDs
+ */
+function buildChangeSet(previousHashes, currentHashes) {
+  const added = new Set();
+  const modified = new Set();
+  const removed = new Set();
+  
+  for (const [file, entry] of Object.entries(currentHashes)) {
+    if (isWorkoutEntry(entry)) {
+      continue;
+    }
+    
+    const previous = previousHashes[file];
+    const id = getEntryId(file, entry);
+    
+    // A new, changed or removed translation modifies the exercise
+    if (isTranslationEntry(entry)) {
+      if (getEntryHash(previous) !== getEntryHash(entry)) {
+        modified.add(id);
+      }
+      continue;
+    }
+    
+    if (previous === undefined) {
+      added.add(id);
+    } else if (getEntryHash(previous) !== getEntryHash(entry)) {
+      modified.add(id);
+    }
+  }
+  
+  for (const [file, entry] of Object.entries(previousHashes)) {
+    if (currentHashes[file] === undefined && isTranslationEntry(entry)) {
+      modified.add(getEntryId(file, entry));
+    } else if (currentHashes[file] === undefined && !isWorkoutEntry(entry)) {
+      removed.add(getEntryId(file, entry));
+    }
+  }
+  
+  // An exercise moved to another file is a modification, not a removal
+  for (const id of removed) {
+    if (added.has(id)) {
+      added.delete(id);
+      removed.delete(id);
+      modified.add(id);
+    }
+  }
+  
+  // Added and removed exercises are reported as such even if translated
+  for (const id of modified) {
+    if (added.has(id) || removed.has(id)) {
+      modified.delete(id);
+    }
+  }
+  
+  return {
+    added: [...added].sort(),
+    modified: [...modified].sort(),
+    removed: [...removed].sort()
+  };
+}
+
+/**
+ * Read the records of a previous build from an output file
+ * @param {string} fileName - Output file name, e.g. exercises.json
+ * @param {string} key - Property holding the records
+ * @returns {Array<Object>|null} Records, or null if there was no previous build
+ */
+function readPreviousOutput(fileName, key) {
+  const filePath = path.join(OUTPUT_DIR, fileName);
+  
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'))[key] || [];
+}
+
+/**
+ * Classify the changes between two builds of the same records
+ * Removing a record or one of its fields breaks clients (major), adding a
+ * record is backwards compatible (minor) and anything else is an edit (patch).
+ * @param {Array<Object>} previous - Records of the previous build
+ * @param {Array<Object>} current - Records of this build
+ * @returns {string} major, minor or patch
+ */
+function classifyRecordChanges(previous, current) {
+  const currentById = new Map(current.map(record => [record.id, record]));
+  const previousIds = new Set(previous.map(record => record.id));
+  const definedKeys = record => Object.keys(record).filter(key => record[key] !== undefined);
+  
+  const removed = previous.some(record => {
+    const next = currentById.get(record.id);
+    return !next || definedKeys(record).some(key => next[key] === undefined);
+  });
+  
+  if (removed) {
+    return 'major';
+  }
+  
+  return current.some(record => !previousIds.has(record.id)) ? 'minor' : 'patch';
+}
+
+/**
+ * Work out how far to bump the data version
+ * @param {Object} previous - Exercises and workouts of the previous build, or null
+ * @param {Object} current - Exercises and workouts of this build
+ * @param {Object} changes - Added, modified and removed exercise IDs from the file hashes
+ * @returns {string} major, minor or patch
+ */
+function classifyChanges(previous, current, changes) {
+  // Without earlier output, fall back to the files that were added or removed
+  if (!previous.exercises) {
+    if (changes.removed.length > 0) {
+      return 'major';
+    }
+    return changes.added.length > 0 ? 'minor' : 'patch';
+  }
+  
+  const types = [
+    classifyRecordChanges(previous.exercises, current.exercises),
+    classifyRecordChanges(previous.workouts || [], current.workouts)
+  ];
+  
+  return CHANGE_TYPES[Math.max(...types.map(type => CHANGE_TYPES.indexOf(type)))];
+}
+
+/**
+ * Bump a semantic version
+ * @param {string} version - Current version
+ * @param {string} changeType - major, minor or patch
+ * @returns {string} Next version
+ */
+function bumpVersion(version, changeType) {
+  const [major, minor, patch] = version.split('.').map(part => parseInt(part, 10) || 0);
+  
+  if (changeType === 'major') {
+    return `${major + 1}.0.0`;
+  }
+  if (changeType === 'minor') {
+    return `${major}.${minor + 1}.0`;
+  }
+  return `${major}.${minor}.${patch + 1}`;
+}
+
+/**
+ * Delete the per-exercise and per-locale output of exercises that are gone
+ * @param {Array<string>} staleIds - IDs that were built before but not now
+ * @param {Array<string>} locales - Locales written by this build
+ */
+function removeStaleOutputs(staleIds, locales) {
+  const localesDir = path.join(OUTPUT_DIR, 'locales');
+  const localeDirs = fs.existsSync(localesDir) ? fs.readdirSync(localesDir) : [];
+  
+  // Languages whose last translation was removed
+  localeDirs
+    .filter(locale => !locales.includes(locale))
+    .forEach(locale => {
+      fs.rmSync(path.join(localesDir, locale), { recursive: true, force: true });
+      console.log(`Removed stale locale ${locale}`);
+    });
+  
+  for (const id of staleIds) {
+    const outputs = [
+      path.join(OUTPUT_DIR, `${id}.json`),
+      ...locales.map(locale => path.join(localesDir, locale, `${id}.json`))
+    ];
+    
+    outputs.filter(file => fs.existsSync(file)).forEach(file => fs.unlinkSync(file));
+    console.log(`Removed stale output for ${id}`);
+  }
+}
+
+/**
+ * Append an entry to the changelog used for delta sync
+ * @param {string} previousVersion - Data version before this build
+ * @param {string} version - Data version produced by this build
+ * @param {Object} changes - Added, modified and removed exercise IDs and the change type
+ * @param {string} date - Time of the latest change
+ */
+function recordChangelog(previousVersion, version, changes, date) {
+  const changelogPath = path.join(OUTPUT_DIR, 'changelog.json');
+  let entries = [];
+  
+  if (fs.existsSync(changelogPath)) {
+    entries = JSON.parse(fs.readFileSync(changelogPath, 'utf8')).entries || [];
+  }
+  
+  entries.push({
+    version,
+    previousVersion,
+    date,
+    ...changes
+  });
+  
+  // Keep only the most recent history
+  entries = entries.slice(-MAX_CHANGELOG_ENTRIES);
+  
+  writeJson(changelogPath, { entries });
 }
 
 /**
  * Process all markdown files and generate JSON data
+ * When watching, files that did not change since the last build are not read,
+ * parsed or checked again; the aggregates are always rebuilt from all of them.
+ * @param {Set<string>|null} [changedFiles] - Files changed since the last build, null to read every file
+ * @throws {Error} If any file is invalid, in which case nothing is written
  */
-function processExerciseFiles() {
-  const files = glob.sync(`${EXERCISES_DIR}/**/*.md`);
+function processExerciseFiles(changedFiles = null) {
+  const { documents: files, translations: translationFiles } = findDocuments(EXERCISES_DIR);
+  const workoutFiles = findDocuments(WORKOUTS_DIR).documents;
   const exercises = [];
+  const buildTime = getBuildTime();
   let validCount = 0;
   let invalidCount = 0;
   let hasChanges = false;
   
-  console.log(`Found ${files.length} markdown files to process.`);
+  console.log(`Found ${files.length + translationFiles.length} markdown files to process${describeChanged([...files, ...translationFiles], changedFiles)}.`);
+  
+  // Get current version or create if it doesn't exist
+  const previousVersionData = fs.existsSync(versionPath)
+    ? JSON.parse(fs.readFileSync(versionPath, 'utf8'))
+    : {};
+  let currentVersion = previousVersionData.version || '1.0.0';
   
   // Load previous hash values if available
-  let previousHashes = {};
   const hashFilePath = path.join(OUTPUT_DIR, 'file-hashes.json');
-  if (fs.existsSync(hashFilePath)) {
-    previousHashes = JSON.parse(fs.readFileSync(hashFilePath, 'utf8'));
-  }
+  const previousHashes = readFileHashes(hashFilePath);
+  
+  // Exercises and workouts of the previous build, to classify the changes
+  const previousOutput = {
+    exercises: readPreviousOutput('exercises.json', 'exercises'),
+    workouts: readPreviousOutput('workouts.json', 'workouts')
+  };
   
   // Store current hashes
   const currentHashes = {};
+  const builtAssets = readAssetFiles();
+  
+  // Forget removed files
+  const sourceFiles = new Set([...files, ...translationFiles, ...workoutFiles]);
+  [...sourceCache.keys()].filter(file => !sourceFiles.has(file)).forEach(file => sourceCache.delete(file));
+  
+  // Lint the exercise files as validate does, files with errors are not built
+  const levels = loadRuleLevels();
+  const sources = new Map(); // file -> source read in this build
+  const documents = [];
+  const lintErrors = new Map(); // file -> messages
   
   for (const file of files) {
-    // Skip index files
-    if (file.endsWith('index.md')) {
+    try {
+      const source = readSource(file, changedFiles);
+      sources.set(file, source);
+      source.document = source.document || buildDocument(file, source.content);
+      documents.push(source.document);
+    } catch (error) {
+      lintErrors.set(file, [error.message]);
+    }
+  }
+  
+  // Rules such as unique-id look at every file, so unchanged files are linted again
+  const lintContext = { validate, taxonomy: muscleTaxonomy, schema, documents };
+  documents.forEach(doc => {
+    const errors = lintDocument(doc, lintContext, levels).filter(problem => problem.severity === 'error');
+    if (errors.length > 0) {
+      lintErrors.set(doc.file, errors.map(problem => `line ${problem.line}: ${problem.message} (${problem.rule})`));
+    }
+  });
+  
+  // Translations are processed once their base exercise is known
+  for (const file of translationFiles) {
+    const source = readSource(file, changedFiles);
+    const fileHash = source.hash;
+    sources.set(file, source);
+    currentHashes[file] = { hash: fileHash, type: 'translation' };
+    
+    if (getEntryHash(previousHashes[file]) !== fileHash) {
+      hasChanges = true;
+    }
+  }
+  
+  const exerciseFiles = new Map(); // id -> file
+  
+  for (const file of files) {
+    if (lintErrors.has(file)) {
+      reportFileErrors(file, lintErrors.get(file));
+      invalidCount++;
       continue;
     }
     
     try {
-      const content = fs.readFileSync(file, 'utf8');
-      const fileHash = calculateHash(content);
-      currentHashes[file] = fileHash;
+      const fileHash = sources.get(file).hash;
+      currentHashes[file] = { hash: fileHash };
+      
+      const exerciseData = parseCached(file, fileHash, () => parseMarkdownFile(file));
+      currentHashes[file].id = exerciseData.id;
+      
+      // Rebuilt assets change the exercise as much as an edit does
+      const assetEntries = attachAssets(exerciseData, builtAssets);
+      if (assetEntries) {
+        currentHashes[file].hash = calculateHash(fileHash + assetEntries);
+      }
       
       // Check if file changed
-      if (previousHashes[file] !== fileHash) {
+      if (getEntryHash(previousHashes[file]) !== currentHashes[file].hash) {
         hasChanges = true;
       }
       
-      const exerciseData = parseMarkdownFile(file);
+      stampEntry(file, currentHashes[file], previousHashes, buildTime);
+      exerciseData.createdAt = currentHashes[file].createdAt;
+      exerciseData.updatedAt = currentHashes[file].updatedAt;
       
       // Validate against schema
       const isValid = validate(exerciseData);
       
-      if (isValid) {
+      // Replace muscle aliases with canonical IDs
+      const primary = normalizeMuscles(muscleTaxonomy, exerciseData.primaryMuscles);
+      const secondary = normalizeMuscles(muscleTaxonomy, exerciseData.secondaryMuscles);
+      const unknownMuscles = [...primary.unknown, ...secondary.unknown];
+      
+      if (isValid && unknownMuscles.length === 0) {
+        exerciseData.primaryMuscles = primary.muscles;
+        // A muscle listed as primary is not also secondary
+        exerciseData.secondaryMuscles = secondary.muscles.filter(m => !primary.muscles.includes(m));
         exercises.push(exerciseData);
+        exerciseFiles.set(exerciseData.id, file);
         validCount++;
       } else {
-        console.error(`Validation failed for ${file}`);
-        console.error(validate.errors);
+        reportFileErrors(file, [
+          ...(isValid ? [] : formatSchemaErrors(validate.errors)),
+          ...(unknownMuscles.length > 0 ? [`Unknown muscles: ${unknownMuscles.join(', ')}`] : [])
+        ]);
         invalidCount++;
       }
     } catch (error) {
-      console.error(`Error processing ${file}: ${error.message}`);
+      reportFileErrors(file, [error.message]);
       invalidCount++;
     }
   }
   
-  // Update version if changes detected
-  if (hasChanges) {
-    const versionParts = currentVersion.split('.');
-    const patch = parseInt(versionParts[2]) + 1;
-    currentVersion = `${versionParts[0]}.${versionParts[1]}.${patch}`;
-    console.log(`Detected changes, updating version to ${currentVersion}`);
+  // Links between exercises are checked as validate does
+  const linkProblems = checkProgressionLinks(new Map(exercises.map(ex => [ex.id, { file: exerciseFiles.get(ex.id), metadata: ex }])));
+  linkProblems.forEach(({ file, message }) => reportFileErrors(file, [message]));
+  invalidCount += new Set(linkProblems.map(problem => problem.file)).size;
+  
+  // Process translations of valid exercises
+  const exercisesById = new Map(exercises.map(ex => [ex.id, ex]));
+  const exerciseIds = new Set(exercisesById.keys());
+  const translations = [];
+  
+  for (const file of translationFiles) {
+    // The check compares the translation with its base file, so it is redone when either changes
+    const source = sources.get(file);
+    const baseHash = sources.has(getBaseFile(file)) ? sources.get(getBaseFile(file)).hash : null;
+    if (!source.check || source.check.baseHash !== baseHash) {
+      source.check = { ...checkTranslation(file), baseHash };
+    }
+    const { baseFile, errors, warnings } = source.check;
+    
+    if (errors.length > 0) {
+      reportFileErrors(file, errors);
+      invalidCount++;
+      continue;
+    }
+    
+    try {
+      // Staleness depends on the base file, so it is part of the cache key
+      const cacheKey = `${getEntryHash(currentHashes[file])}:${getEntryHash(currentHashes[baseFile])}`;
+      const translation = parseCached(file, cacheKey, () => parseTranslationFile(file, baseFile));
+      currentHashes[file].id = translation.id;
+      stampEntry(file, currentHashes[file], previousHashes, buildTime);
+      translation.updatedAt = currentHashes[file].updatedAt;
+      
+      if (!exerciseIds.has(translation.id)) {
+        throw new Error(`Base exercise ${translation.id} is not valid`);
+      }
+      
+      warnings.forEach(warning => console.warn(`⚠️  ${path.relative(process.cwd(), file)}: ${warning}`));
+      
+      translations.push(translation);
+    } catch (error) {
+      reportFileErrors(file, [error.message]);
+      invalidCount++;
+    }
   }
   
-  // Save current file hashes
-  fs.writeFileSync(hashFilePath, JSON.stringify(currentHashes, null, 2));
+  // Process workouts once all exercise IDs are known
+  const workouts = [];
   
-  // Save version information
-  fs.writeFileSync(
-    versionPath, 
-    JSON.stringify({ 
-      version: currentVersion,
-      lastUpdated: new Date().toISOString(),
-      exerciseCount: validCount
-    }, null, 2)
-  );
+  console.log(`Found ${workoutFiles.length} workout files to process${describeChanged(workoutFiles, changedFiles)}.`);
+  
+  for (const file of workoutFiles) {
+    try {
+      const fileHash = readSource(file, changedFiles).hash;
+      currentHashes[file] = { hash: fileHash, type: 'workout' };
+      
+      // Check if file changed
+      if (getEntryHash(previousHashes[file]) !== fileHash) {
+        hasChanges = true;
+      }
+      
+      const workoutData = parseCached(file, fileHash, () => parseWorkoutFile(file));
+      currentHashes[file].id = workoutData.id;
+      stampEntry(file, currentHashes[file], previousHashes, buildTime);
+      
+      // Validate against schema and check referenced exercises exist
+      const isValid = validateWorkout(workoutData);
+      const missingIds = workoutData.exerciseIds.filter(id => !exerciseIds.has(id));
+      
+      if (isValid && missingIds.length === 0) {
+        workoutData.blocks.forEach(block => block.exercises.forEach(entry => {
+          entry.workTime = estimateEntryWorkTime(entry, exercisesById.get(entry.id), workoutData.difficulty);
+        }));
+        workouts.push(workoutData);
+        validCount++;
+      } else {
+        reportFileErrors(file, [
+          ...(isValid ? [] : formatSchemaErrors(validateWorkout.errors)),
+          ...(missingIds.length > 0 ? [`Unknown exercise IDs: ${missingIds.join(', ')}`] : [])
+        ]);
+        invalidCount++;
+      }
+    } catch (error) {
+      reportFileErrors(file, [error.message]);
+      invalidCount++;
+    }
+  }
+  
+  // Leaving invalid files out would publish them as removed, a major version that resyncs every client
+  if (invalidCount > 0) {
+    throw new Error(`${invalidCount} invalid ${invalidCount === 1 ? 'file' : 'files'}, nothing was written`);
+  }
   
-  // Generate additional index files
+  // Generate additional index files, this also fills in the progression links
   const muscleData = buildMuscleReference(exercises);
+  const progressionGraph = buildProgressionGraph(exercises);
+  
+  // Deleted files are changes too, made at build time
+  const hasDeletions = Object.keys(previousHashes).some(file => currentHashes[file] === undefined);
+  if (hasDeletions) {
+    hasChanges = true;
+  }
+  
+  // The data is as old as its latest change, so an unchanged build writes the same output
+  const lastUpdated = hasChanges
+    ? [...Object.values(currentHashes).map(entry => entry.updatedAt), ...(hasDeletions ? [buildTime] : [])]
+      .filter(Boolean).sort().pop() || buildTime
+    : previousVersionData.lastUpdated || buildTime;
+  
+  // Update version if changes detected
+  let changeType = previousVersionData.changeType || null;
+  const changes = buildChangeSet(previousHashes, currentHashes);
+  
+  if (hasChanges) {
+    const previousVersion = currentVersion;
+    changeType = classifyChanges(previousOutput, { exercises, workouts }, changes);
+    currentVersion = bumpVersion(currentVersion, changeType);
+    console.log(`Detected ${changeType} changes, updating version to ${currentVersion}`);
+    
+    recordChangelog(previousVersion, currentVersion, { ...changes, changeType }, lastUpdated);
+  }
+  
+  // Save current file hashes
+  writeFileHashes(hashFilePath, currentHashes);
   
   // Get unique categories
   const categories = [...new Set(exercises.map(ex => ex.category))].map(cat => ({
@@ -369,44 +1357,156 @@ function processExerciseFiles() {
   }));
   
   // Write all exercises to a single JSON file
-  fs.writeFileSync(
-    path.join(OUTPUT_DIR, 'exercises.json'),
-    JSON.stringify({ 
-      version: currentVersion,
-      lastUpdated: new Date().toISOString(),
-      count: exercises.length,
-      exercises 
-    }, null, 2)
-  );
-  
-  // Write index files
-  fs.writeFileSync(
-    path.join(OUTPUT_DIR, 'muscles.json'),
-    JSON.stringify({ muscles: muscleData }, null, 2)
-  );
+  writeJson(path.join(OUTPUT_DIR, 'exercises.json'), {
+    version: currentVersion,
+    lastUpdated,
+    count: exercises.length,
+    exercises: exercises.map(orderExerciseKeys)
+  });
   
-  fs.writeFileSync(
-    path.join(OUTPUT_DIR, 'categories.json'),
-    JSON.stringify({ categories }, null, 2)
-  );
+  // Write all workouts to a single JSON file
+  writeJson(path.join(OUTPUT_DIR, 'workouts.json'), {
+    version: currentVersion,
+    count: workouts.length,
+    workouts
+  });
   
-  fs.writeFileSync(
-    path.join(OUTPUT_DIR, 'equipment.json'),
-    JSON.stringify({ equipment }, null, 2)
-  );
+  // Write index files
+  writeJson(path.join(OUTPUT_DIR, 'progressions.json'), { exercises: progressionGraph });
+  writeJson(path.join(OUTPUT_DIR, 'muscles.json'), muscleData);
+  writeJson(path.join(OUTPUT_DIR, 'categories.json'), { categories });
+  writeJson(path.join(OUTPUT_DIR, 'equipment.json'), { equipment });
   
   // Write individual exercise files
   for (const exercise of exercises) {
-    fs.writeFileSync(
-      path.join(OUTPUT_DIR, `${exercise.id}.json`),
-      JSON.stringify(exercise, null, 2)
+    writeJson(path.join(OUTPUT_DIR, `${exercise.id}.json`), orderExerciseKeys(exercise));
+  }
+  
+  // Write localized exercises, untranslated ones fall back to the default locale
+  const locales = [...new Set(translations.map(t => t.locale))].sort();
+  
+  for (const locale of locales) {
+    const localeDir = path.join(OUTPUT_DIR, 'locales', locale);
+    const translated = new Map(
+      translations.filter(t => t.locale === locale).map(t => [t.id, t])
     );
+    const localized = exercises.map(exercise => (translated.has(exercise.id)
+      ? localizeExercise(exercise, translated.get(exercise.id))
+      : { ...exercise, locale: DEFAULT_LOCALE, localeFallback: true }));
+    
+    fs.mkdirSync(localeDir, { recursive: true });
+    writeJson(path.join(localeDir, 'exercises.json'), {
+      version: currentVersion,
+      locale,
+      count: localized.length,
+      translatedCount: translated.size,
+      exercises: localized.map(orderExerciseKeys)
+    });
+    
+    for (const exercise of localized) {
+      writeJson(path.join(localeDir, `${exercise.id}.json`), orderExerciseKeys(exercise));
+    }
   }
   
-  console.log(`\nProcessing complete: ${validCount} valid, ${invalidCount} invalid`);
+  // Exercises whose file was removed
+  const staleIds = new Set([
+    ...(previousOutput.exercises || []).map(ex => ex.id),
+    ...changes.removed
+  ]);
+  removeStaleOutputs([...staleIds].filter(id => !exerciseIds.has(id)).sort(), locales);
+  
+  // Save version information last, the API reloads its data when this file changes
+  writeJson(versionPath, {
+    version: currentVersion,
+    changeType,
+    fullResyncRequired: changeType === 'major',
+    lastUpdated,
+    exerciseCount: exercises.length,
+    workoutCount: workouts.length,
+    locales: [DEFAULT_LOCALE, ...locales.filter(locale => locale !== DEFAULT_LOCALE)]
+  });
+  
+  console.log(`\nProcessing complete: ${validCount} valid`);
   console.log(`Output written to ${OUTPUT_DIR}`);
   console.log(`Current version: ${currentVersion}`);
 }
 
+/**
+ * Rebuild whenever a markdown file changes
+ * Only the changed and removed files are processed again, the others are
+ * reused from the last build, and unchanged outputs are not rewritten. A
+ * running API reloads when the new version.json is written.
+ */
+function watchSources() {
+  const watchers = new Map(); // directory -> fs.FSWatcher
+  const changedFiles = new Set();
+  let timer = null;
+  
+  const rebuild = () => {
+    console.log(`\n[${new Date().toLocaleTimeString()}] Rebuilding...`);
+    
+    // Files changed from here on are picked up by the next rebuild
+    const changed = new Set(changedFiles);
+    changedFiles.clear();
+    
+    // A failed build writes nothing, the last good data stays published until the errors are fixed
+    try {
+      processExerciseFiles(changed);
+    } catch (error) {
+      console.error(`Build failed: ${error.message}`);
+    }
+    
+    watchDirectories();
+  };
+  
+  // fs.watch is not recursive on every platform, so each directory gets a watcher
+  const watchDirectories = () => {
+    const directories = [EXERCISES_DIR, WORKOUTS_DIR]
+      .filter(dir => fs.existsSync(dir))
+      .flatMap(dir => glob.sync(`${dir}/**/`).map(found => path.resolve(found)));
+    
+    directories
+      .filter(dir => !watchers.has(dir))
+      .forEach(dir => {
+        const watcher = fs.watch(dir, (eventType, filename) => {
+          // New directories need their own watcher, the generated index is not a build input
+          if (!filename || !filename.endsWith('.md') || filename === INDEX_FILENAME) {
+            watchDirectories();
+            return;
+          }
+          
+          changedFiles.add(path.join(dir, filename));
+          clearTimeout(timer);
+          timer = setTimeout(rebuild, WATCH_DEBOUNCE_MS);
+        });
+        
+        // Removed directories stop being watched
+        watcher.on('error', () => {
+          watcher.close();
+          watchers.delete(dir);
+        });
+        watchers.set(dir, watcher);
+      });
+  };
+  
+  watchDirectories();
+  console.log('\nWatching exercises/ and workouts/ for changes (Ctrl+C to stop)');
+}
+
 // Execute
-processExerciseFiles(); 
\ No newline at end of file
+const watch = process.argv.includes('--watch');
+
+try {
+  processExerciseFiles();
+} catch (error) {
+  console.error(`Build failed: ${error.message}`);
+  
+  // Keep watching so the errors can be fixed
+  if (!watch) {
+    process.exit(1);
+  }
+}
+
+if (watch) {
+  watchSources();
+}
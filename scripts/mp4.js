@@ -0,0 +1,229 @@
+/**
+ * MP4 container metadata
+ *
+ * Reads the duration, resolution and codecs of MP4 and QuickTime files from
+ * their box structure without decoding any media. Only the headers are read,
+ * so large videos are never loaded into memory.
+ */
+
+const fs = require('fs');
+
+const HEADER_SIZE = 8;
+const MAX_PAYLOAD = 1024 * 1024; // Header boxes are small, anything larger is not read
+const FIRST_BOXES = ['ftyp', 'moov', 'mdat', 'free', 'skip', 'wide']; // Older QuickTime files have no ftyp
+
+/**
+ * Error raised for files that are not readable MP4 containers
+ */
+class Mp4Error extends Error {}
+
+/**
+ * Read bytes from a file
+ * @param {number} fd - File descriptor
+ * @param {number} position - Offset to read from
+ * @param {number} length - Number of bytes
+ * @returns {Buffer} Bytes read, shorter at the end of the file
+ */
+function readBytes(fd, position, length) {
+  const buffer = Buffer.alloc(length);
+  const bytesRead = fs.readSync(fd, buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+/**
+ * List the boxes between two offsets
+ * @param {number} fd - File descriptor
+ * @param {number} start - Offset of the first box
+ * @param {number} end - Offset where the parent box ends
+ * @returns {Array<Object>} Boxes as { type, start, end } with start at their payload
+ * @throws {Mp4Error} If a box header is invalid
+ */
+function readBoxes(fd, start, end) {
+  const boxes = [];
+  let offset = start;
+
+  while (offset + HEADER_SIZE <= end) {
+    const header = readBytes(fd, offset, 16);
+    if (header.length < HEADER_SIZE) {
+      break;
+    }
+
+    let size = header.readUInt32BE(0);
+    let headerSize = HEADER_SIZE;
+    const type = header.toString('latin1', 4, 8);
+
+    // 1 means a 64-bit size follows, 0 means the box runs to the end
+    if (size === 1) {
+      size = Number(header.readBigUInt64BE(8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+
+    if (size < headerSize || offset + size > end) {
+      throw new Mp4Error(`Invalid ${type} box at offset ${offset}`);
+    }
+
+    boxes.push({ type, start: offset + headerSize, end: offset + size });
+    offset += size;
+  }
+
+  return boxes;
+}
+
+/**
+ * Read the payload of a box
+ * @param {number} fd - File descriptor
+ * @param {Object} box - Box from readBoxes
+ * @returns {Buffer} Payload
+ */
+function readPayload(fd, box) {
+  return readBytes(fd, box.start, Math.min(box.end - box.start, MAX_PAYLOAD));
+}
+
+/**
+ * Find the first child box of a type
+ * @param {number} fd - File descriptor
+ * @param {Object} parent - Parent box
+ * @param {string} type - Box type
+ * @returns {Object|undefined} Box
+ */
+function findBox(fd, parent, type) {
+  return readBoxes(fd, parent.start, parent.end).find(box => box.type === type);
+}
+
+/**
+ * Read a 16.16 fixed-point number
+ * @param {Buffer} buffer - Box payload
+ * @param {number} offset - Offset of the number
+ * @returns {number} Value
+ */
+function readFixed(buffer, offset) {
+  return buffer.readInt32BE(offset) / 65536;
+}
+
+/**
+ * Read the duration from a movie header
+ * @param {Buffer} mvhd - Payload of the mvhd box
+ * @returns {number} Duration in seconds
+ */
+function parseMovieHeader(mvhd) {
+  const version = mvhd.readUInt8(0);
+  const timescale = version === 1 ? mvhd.readUInt32BE(20) : mvhd.readUInt32BE(12);
+  const duration = version === 1 ? Number(mvhd.readBigUInt64BE(24)) : mvhd.readUInt32BE(16);
+
+  return timescale > 0 ? duration / timescale : 0;
+}
+
+/**
+ * Read the display size from a track header
+ * Tracks recorded in portrait are often stored in landscape with a
+ * rotation in the matrix, so width and height swap when it turns by 90 degrees.
+ * @param {Buffer} tkhd - Payload of the tkhd box
+ * @returns {Object} width and height in pixels
+ */
+function parseTrackHeader(tkhd) {
+  const offset = tkhd.readUInt8(0) === 1 ? 44 : 32; // Past the version-dependent times and durations
+  const matrix = offset + 8;
+  const width = Math.round(readFixed(tkhd, matrix + 36));
+  const height = Math.round(readFixed(tkhd, matrix + 40));
+  const rotated = readFixed(tkhd, matrix) === 0 && readFixed(tkhd, matrix + 16) === 0;
+
+  return rotated ? { width: height, height: width } : { width, height };
+}
+
+/**
+ * Read the codec of a track from its first sample description
+ * H.264 codecs include the profile and level, e.g. avc1.64001f.
+ * @param {number} fd - File descriptor
+ * @param {Object} stsd - stsd box
+ * @returns {string|null} Codec string as used in MIME types
+ */
+function parseCodec(fd, stsd) {
+  // Skip the version, flags and entry count
+  const [entry] = readBoxes(fd, stsd.start + 8, stsd.end);
+  if (!entry) {
+    return null;
+  }
+
+  if (entry.type === 'avc1' || entry.type === 'avc3') {
+    // Visual sample entries have 78 bytes of fields before their child boxes
+    const avcC = readBoxes(fd, entry.start + 78, entry.end).find(box => box.type === 'avcC');
+    if (avcC) {
+      const config = readPayload(fd, avcC);
+      return `${entry.type}.${config.subarray(1, 4).toString('hex')}`;
+    }
+  }
+
+  return entry.type;
+}
+
+/**
+ * Read the type and codec of a track
+ * @param {number} fd - File descriptor
+ * @param {Object} trak - trak box
+ * @returns {Object} Handler type (vide, soun, ...), codec and display size
+ */
+function parseTrack(fd, trak) {
+  const tkhd = findBox(fd, trak, 'tkhd');
+  const mdia = findBox(fd, trak, 'mdia');
+  const hdlr = mdia && findBox(fd, mdia, 'hdlr');
+  const minf = mdia && findBox(fd, mdia, 'minf');
+  const stbl = minf && findBox(fd, minf, 'stbl');
+  const stsd = stbl && findBox(fd, stbl, 'stsd');
+
+  return {
+    handler: hdlr ? readPayload(fd, hdlr).toString('latin1', 8, 12) : null,
+    codec: stsd ? parseCodec(fd, stsd) : null,
+    ...(tkhd ? parseTrackHeader(readPayload(fd, tkhd)) : { width: 0, height: 0 })
+  };
+}
+
+/**
+ * Read the metadata of an MP4 file
+ * @param {string} filePath - Path to the video
+ * @returns {Object} duration in seconds, width, height, video and audio codecs and size in bytes
+ * @throws {Mp4Error} If the file is not an MP4 container or has no movie header
+ */
+function readMp4Metadata(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+
+  try {
+    const { size } = fs.fstatSync(fd);
+
+    if (!FIRST_BOXES.includes(readBytes(fd, 4, 4).toString('latin1'))) {
+      throw new Mp4Error('Not an MP4 or QuickTime file');
+    }
+
+    const topLevel = readBoxes(fd, 0, size);
+
+    // The movie box can come before or after the media data
+    const moov = topLevel.find(box => box.type === 'moov');
+    const mvhd = moov && findBox(fd, moov, 'mvhd');
+    if (!mvhd) {
+      throw new Mp4Error('No movie header, the file may be truncated');
+    }
+
+    const tracks = readBoxes(fd, moov.start, moov.end)
+      .filter(box => box.type === 'trak')
+      .map(trak => parseTrack(fd, trak));
+    const video = tracks.find(track => track.handler === 'vide');
+    const audio = tracks.find(track => track.handler === 'soun');
+
+    return {
+      duration: Math.round(parseMovieHeader(readPayload(fd, mvhd)) * 1000) / 1000,
+      width: video ? video.width : null,
+      height: video ? video.height : null,
+      videoCodec: video ? video.codec : null,
+      audioCodec: audio ? audio.codec : null,
+      bytes: size
+    };
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+module.exports = {
+  readMp4Metadata,
+  Mp4Error
+};
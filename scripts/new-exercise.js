@@ -0,0 +1,301 @@
+#!/usr/bin/env node
+
+/**
+ * Exercise scaffolding script
+ *
+ * This script creates a new exercise markdown file with the frontmatter and
+ * section headings in place. Missing options are asked for interactively.
+ *
+ * Usage: npm run new-exercise -- --name "Goblet Squat" --category lower-body
+ *   --muscles quadriceps,glutes [--secondary-muscles core] [--equipment dumbbell]
+ *   [--difficulty beginner] [--tags compound] [--assets]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const readline = require('readline');
+const { findDocuments, parseDocument } = require('./document');
+const { loadMuscleTaxonomy, normalizeMuscles } = require('./taxonomy');
+const { readIndexOptions, writeIndex } = require('./generate-index');
+
+// Configuration
+const EXERCISES_DIR = path.join(__dirname, '..', 'exercises');
+const SCHEMA_PATH = path.join(__dirname, '..', 'schemas', 'exercise.json');
+
+const schema = JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+const CATEGORIES = schema.properties.category.enum;
+const DIFFICULTIES = schema.properties.difficulty.enum;
+
+// Options that take a value, list options are comma-separated
+const OPTIONS = {
+  '--name': 'name',
+  '--id': 'id',
+  '--category': 'category',
+  '--muscles': 'primaryMuscles',
+  '--secondary-muscles': 'secondaryMuscles',
+  '--equipment': 'equipment',
+  '--difficulty': 'difficulty',
+  '--tags': 'tags'
+};
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} Exercise options and flags
+ * @throws {Error} If an argument is unknown or has no value
+ */
+function parseArgs(args) {
+  const parsed = { assets: false };
+
+  for (let i = 0; i < args.length; i++) {
+    const [flag, inlineValue] = args[i].split(/=(.*)/s);
+
+    if (flag === '--assets') {
+      parsed.assets = true;
+      continue;
+    }
+
+    if (!OPTIONS[flag]) {
+      throw new Error(`Unknown argument ${args[i]}`);
+    }
+
+    const value = inlineValue !== undefined ? inlineValue : args[++i];
+    if (value === undefined) {
+      throw new Error(`${flag} needs a value`);
+    }
+
+    parsed[OPTIONS[flag]] = value;
+  }
+
+  return parsed;
+}
+
+/**
+ * Split a comma-separated list into lowercase, hyphenated values
+ * @param {string} value - List text
+ * @returns {Array<string>} Non-empty values
+ */
+function splitList(value) {
+  return String(value || '')
+    .split(',')
+    .map(item => item.trim().toLowerCase().replace(/[\s_]+/g, '-'))
+    .filter(Boolean);
+}
+
+/**
+ * Derive an exercise ID from its name
+ * @param {string} name - Display name
+ * @returns {string} Lowercase, hyphenated ID
+ */
+function toId(name) {
+  return name
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Ask a question on the terminal
+ * @param {readline.Interface} rl - Readline interface
+ * @param {string} question - Prompt text
+ * @returns {Promise<string>} Trimmed answer
+ */
+function ask(rl, question) {
+  return new Promise(resolve => rl.question(question, answer => resolve(answer.trim())));
+}
+
+/**
+ * Ask for options that were not given as flags
+ * @param {Object} options - Options parsed from the command line
+ * @returns {Promise<Object>} Options with the answers filled in
+ */
+async function promptMissing(options) {
+  const questions = [
+    ['name', 'Exercise name: '],
+    ['category', `Category (${CATEGORIES.join(', ')}): `],
+    ['primaryMuscles', 'Primary muscles, comma-separated: '],
+    ['secondaryMuscles', 'Secondary muscles, comma-separated (optional): '],
+    ['equipment', 'Equipment, comma-separated (default: none): '],
+    ['difficulty', `Difficulty (${DIFFICULTIES.join(', ')}, default: beginner): `]
+  ].filter(([key]) => options[key] === undefined);
+
+  if (questions.length === 0) {
+    return options;
+  }
+
+  // Without a terminal, every required option must be passed as a flag
+  if (!process.stdin.isTTY) {
+    return options;
+  }
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const answers = { ...options };
+
+  try {
+    for (const [key, question] of questions) {
+      const answer = await ask(rl, question);
+      if (answer) {
+        answers[key] = answer;
+      }
+    }
+  } finally {
+    rl.close();
+  }
+
+  return answers;
+}
+
+/**
+ * Read the IDs and equipment of existing exercises
+ * @returns {Object} Set of IDs and set of equipment names
+ */
+function loadExistingContent() {
+  const ids = new Set();
+  const equipment = new Set();
+
+  findDocuments(EXERCISES_DIR).documents
+    .forEach(file => {
+      try {
+        const { metadata } = parseDocument(file);
+        ids.add(metadata.id);
+        (metadata.equipment || []).forEach(item => equipment.add(item));
+      } catch (error) {
+        // Broken files are reported by npm run validate
+      }
+    });
+
+  return { ids, equipment };
+}
+
+/**
+ * Build and check the exercise frontmatter
+ * @param {Object} options - Exercise options
+ * @returns {Object} Metadata and warnings
+ * @throws {Error} If a required option is missing or invalid
+ */
+function buildMetadata(options) {
+  if (!options.name) {
+    throw new Error('--name is required');
+  }
+
+  const id = options.id || toId(options.name);
+  const metadata = {
+    id,
+    name: options.name.trim(),
+    category: options.category,
+    primaryMuscles: splitList(options.primaryMuscles),
+    secondaryMuscles: splitList(options.secondaryMuscles),
+    equipment: splitList(options.equipment || 'none'),
+    difficulty: options.difficulty || 'beginner',
+    tags: splitList(options.tags)
+  };
+
+  if (!/^[a-z0-9-]+$/.test(id)) {
+    throw new Error(`Cannot use "${id}" as an ID, pass --id with lowercase letters, digits and hyphens`);
+  }
+  if (!CATEGORIES.includes(metadata.category)) {
+    throw new Error(`--category must be one of: ${CATEGORIES.join(', ')}`);
+  }
+  if (!DIFFICULTIES.includes(metadata.difficulty)) {
+    throw new Error(`--difficulty must be one of: ${DIFFICULTIES.join(', ')}`);
+  }
+  if (metadata.primaryMuscles.length === 0) {
+    throw new Error('--muscles needs at least one primary muscle');
+  }
+
+  const existing = loadExistingContent();
+  if (existing.ids.has(id)) {
+    throw new Error(`An exercise with the ID "${id}" already exists`);
+  }
+
+  const warnings = [];
+  const taxonomy = loadMuscleTaxonomy();
+
+  ['primaryMuscles', 'secondaryMuscles'].forEach(field => {
+    normalizeMuscles(taxonomy, metadata[field]).unknown.forEach(name => {
+      warnings.push(`Unknown muscle "${name}", see taxonomy/muscles.json`);
+    });
+  });
+
+  metadata.equipment
+    .filter(item => item !== 'none' && !existing.equipment.has(item))
+    .forEach(item => {
+      warnings.push(`Equipment "${item}" is not used by any other exercise, check the spelling`);
+    });
+
+  // Leave out optional lists that were not given
+  ['secondaryMuscles', 'tags'].forEach(field => {
+    if (metadata[field].length === 0) {
+      delete metadata[field];
+    }
+  });
+
+  return { metadata, warnings };
+}
+
+/**
+ * Render the markdown of a new exercise
+ * @param {Object} metadata - Exercise frontmatter
+ * @param {boolean} withAssets - Whether to link placeholder image and video paths
+ * @returns {string} Markdown content
+ */
+function renderExercise(metadata, withAssets) {
+  const frontmatter = yaml.dump(metadata, { flowLevel: 1, lineWidth: -1 }).trimEnd();
+  const lines = ['---', frontmatter, '---', '', `# ${metadata.name}`, ''];
+
+  if (withAssets) {
+    lines.push(`![${metadata.name} demonstration](../../../assets/images/${metadata.id}.jpg)`, '');
+  }
+
+  // Comments are not content, so validation fails until the sections are written
+  lines.push(
+    '## Description',
+    '<!-- What the exercise is, what it targets and why to do it. -->',
+    '',
+    '## Instructions',
+    '<!-- Numbered steps, e.g. 1. Stand with feet shoulder-width apart -->',
+    '',
+    '## Tips',
+    '<!-- Form cues as a bulleted list -->',
+    '',
+    '## Variations',
+    '<!-- Easier and harder versions as a bulleted list -->'
+  );
+
+  if (withAssets) {
+    lines.push('', '## Video Tutorial', `[Watch video tutorial](../../../assets/videos/${metadata.id}.mp4)`);
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Create the exercise file
+ * @returns {Promise<void>}
+ */
+async function createExercise() {
+  const options = await promptMissing(parseArgs(process.argv.slice(2)));
+  const { metadata, warnings } = buildMetadata(options);
+  const filePath = path.join(EXERCISES_DIR, 'categories', metadata.category, `${metadata.id}.md`);
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, renderExercise(metadata, options.assets), { flag: 'wx' });
+  writeIndex(readIndexOptions());
+
+  console.log(`Created ${path.relative(process.cwd(), filePath)}`);
+  warnings.forEach(warning => console.warn(`Warning: ${warning}`));
+
+  if (options.assets) {
+    console.log(`Add the image at assets/images/${metadata.id}.jpg and the video at assets/videos/${metadata.id}.mp4`);
+  }
+  console.log('Fill in the sections, then run npm run validate');
+}
+
+// Execute
+createExercise().catch(error => {
+  console.error(`Error creating exercise: ${error.message}`);
+  process.exit(1);
+});
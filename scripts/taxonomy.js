@@ -0,0 +1,124 @@
+/**
+ * Muscle taxonomy helpers
+ *
+ * Loads the canonical muscle list shared by the build and validation scripts
+ * and resolves the names used in exercise files to canonical muscle IDs.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+
+// Configuration
+const TAXONOMY_PATH = path.join(__dirname, '..', 'taxonomy', 'muscles.json');
+const TAXONOMY_SCHEMA_PATH = path.join(__dirname, '..', 'schemas', 'muscles.json');
+
+/**
+ * Check the taxonomy for duplicate names and unknown groups
+ * @param {Object} taxonomy - Parsed taxonomy file
+ * @returns {Array<string>} Error messages
+ */
+function checkTaxonomy(taxonomy) {
+  const errors = [];
+  const groupIds = new Set();
+  const owners = new Map(); // name -> muscle ID that claims it
+
+  taxonomy.groups.forEach(group => {
+    if (groupIds.has(group.id)) {
+      errors.push(`Duplicate muscle group "${group.id}"`);
+    }
+    groupIds.add(group.id);
+  });
+
+  const claim = (name, muscleId) => {
+    if (owners.has(name) && owners.get(name) !== muscleId) {
+      errors.push(`"${name}" is used by both ${owners.get(name)} and ${muscleId}`);
+    }
+    owners.set(name, muscleId);
+  };
+
+  taxonomy.muscles.forEach(muscle => {
+    if (!groupIds.has(muscle.group)) {
+      errors.push(`${muscle.id}: unknown muscle group "${muscle.group}"`);
+    }
+
+    claim(muscle.id, muscle.id);
+    (muscle.aliases || []).forEach(alias => claim(alias, muscle.id));
+  });
+
+  // A group name may only double as an alias of one of its own muscles
+  taxonomy.muscles.forEach(muscle => {
+    if (groupIds.has(muscle.id)) {
+      errors.push(`${muscle.id}: muscle ID is also a muscle group`);
+    }
+
+    (muscle.aliases || [])
+      .filter(alias => groupIds.has(alias) && alias !== muscle.group)
+      .forEach(alias => {
+        errors.push(`${muscle.id}: alias "${alias}" is the name of another muscle group`);
+      });
+  });
+
+  return errors;
+}
+
+/**
+ * Load and check the muscle taxonomy
+ * @returns {Object} Taxonomy with groups, muscles and a name lookup
+ * @throws {Error} If the taxonomy file is invalid
+ */
+function loadMuscleTaxonomy() {
+  const taxonomy = JSON.parse(fs.readFileSync(TAXONOMY_PATH, 'utf8'));
+  const validate = new Ajv().compile(JSON.parse(fs.readFileSync(TAXONOMY_SCHEMA_PATH, 'utf8')));
+
+  if (!validate(taxonomy)) {
+    const details = validate.errors.map(error => `${error.instancePath}: ${error.message}`);
+    throw new Error(`Invalid muscle taxonomy: ${details.join(', ')}`);
+  }
+
+  const errors = checkTaxonomy(taxonomy);
+  if (errors.length > 0) {
+    throw new Error(`Invalid muscle taxonomy: ${errors.join(', ')}`);
+  }
+
+  // Canonical IDs and aliases -> canonical ID
+  const lookup = new Map();
+  taxonomy.muscles.forEach(muscle => {
+    lookup.set(muscle.id, muscle.id);
+    (muscle.aliases || []).forEach(alias => lookup.set(alias, muscle.id));
+  });
+
+  return {
+    groups: taxonomy.groups,
+    muscles: taxonomy.muscles.map(muscle => ({ ...muscle, aliases: muscle.aliases || [] })),
+    lookup
+  };
+}
+
+/**
+ * Resolve muscle names from an exercise file to canonical IDs
+ * @param {Object} taxonomy - Loaded taxonomy
+ * @param {Array<string>} names - Muscle IDs or aliases
+ * @returns {Object} Canonical IDs in order without duplicates, and the unknown names
+ */
+function normalizeMuscles(taxonomy, names) {
+  const muscles = [];
+  const unknown = [];
+
+  (names || []).forEach(name => {
+    const id = taxonomy.lookup.get(String(name).trim().toLowerCase());
+
+    if (!id) {
+      unknown.push(name);
+    } else if (!muscles.includes(id)) {
+      muscles.push(id);
+    }
+  });
+
+  return { muscles, unknown };
+}
+
+module.exports = {
+  loadMuscleTaxonomy,
+  normalizeMuscles
+};
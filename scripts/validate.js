@@ -4,22 +4,104 @@
  * Exercise validation script
  * 
  * This script validates the structure and content of exercise markdown files.
+ *
+ * Usage: node scripts/validate.js [--format text|json|github] [--fix] [--max-warnings n]
+ *
+ * Exit codes: 0 when there are no errors, 1 when there are errors (or the
+ * arguments are invalid) and 2 when there are more warnings than allowed
+ * with --max-warnings.
  */
 
 const fs = require('fs');
 const path = require('path');
 const yaml = require('js-yaml');
-const glob = require('glob');
 const Ajv = require('ajv');
+const { loadMuscleTaxonomy } = require('./taxonomy');
+const { findDocuments } = require('./document');
+const { loadRuleLevels, lintDocument, fixContent } = require('./lint-rules');
+const { buildDocument, checkTranslation, checkProgressionLinks } = require('./checks');
+const { INDEX_PATH, isIndexCurrent, readIndexOptions, writeIndex } = require('./generate-index');
 
 // Configuration
 const EXERCISES_DIR = path.join(__dirname, '..', 'exercises');
+const WORKOUTS_DIR = path.join(__dirname, '..', 'workouts');
 const SCHEMA_PATH = path.join(__dirname, '..', 'schemas', 'exercise.json');
+const WORKOUT_SCHEMA_PATH = path.join(__dirname, '..', 'schemas', 'workout.json');
+const ROOT_DIR = path.join(__dirname, '..');
+const FORMATS = ['text', 'json', 'github'];
+const EXIT_ERRORS = 1;
+const EXIT_WARNINGS = 2;
 
 // Load schema for validation
 const schema = JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8'));
 const ajv = new Ajv();
 const validate = ajv.compile(schema);
+const validateWorkout = ajv.compile(JSON.parse(fs.readFileSync(WORKOUT_SCHEMA_PATH, 'utf8')));
+
+// Every problem found, reported together at the end in machine-readable formats
+const problems = [];
+let options = { format: 'text', fix: false, maxWarnings: Infinity };
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} Output format, whether to fix problems and the number of warnings allowed
+ * @throws {Error} If an argument is unknown
+ */
+function parseArgs(args) {
+  const parsed = { format: 'text', fix: false, maxWarnings: Infinity };
+  
+  for (let i = 0; i < args.length; i++) {
+    const [flag, inlineValue] = args[i].split('=');
+    
+    if (flag === '--fix') {
+      parsed.fix = true;
+    } else if (flag === '--format') {
+      parsed.format = inlineValue !== undefined ? inlineValue : args[++i];
+      
+      if (!FORMATS.includes(parsed.format)) {
+        throw new Error(`--format must be one of: ${FORMATS.join(', ')}`);
+      }
+    } else if (flag === '--max-warnings') {
+      const value = inlineValue !== undefined ? inlineValue : args[++i];
+      if (!/^\d+$/.test(String(value))) {
+        throw new Error('--max-warnings must be a non-negative integer');
+      }
+      parsed.maxWarnings = Number(value);
+    } else {
+      throw new Error(`Unknown argument ${args[i]}`);
+    }
+  }
+  
+  return parsed;
+}
+
+/**
+ * Print progress in the text format only
+ * @param {...*} args - Values to print
+ */
+function log(...args) {
+  if (options.format === 'text') {
+    console.log(...args);
+  }
+}
+
+/**
+ * Record a problem for the final report
+ * @param {Object} problem - { file, line, rule, severity, message }
+ * @returns {Object} The recorded problem
+ */
+function addProblem(problem) {
+  const recorded = {
+    file: path.relative(ROOT_DIR, problem.file),
+    line: problem.line || 1,
+    rule: problem.rule,
+    severity: problem.severity,
+    message: problem.message
+  };
+  problems.push(recorded);
+  return recorded;
+}
 
 /**
  * Parse frontmatter from a markdown file
@@ -43,48 +125,304 @@ function extractFrontmatter(filePath) {
 }
 
 /**
- * Validate exercise files
+ * Load the muscle taxonomy, reporting problems with it
+ * @returns {Object|null} Taxonomy, or null if it is invalid
  */
-function validateExerciseFiles() {
-  const files = glob.sync(`${EXERCISES_DIR}/**/*.md`);
+function validateMuscleTaxonomy() {
+  try {
+    const taxonomy = loadMuscleTaxonomy();
+    log(`✅ Muscle taxonomy - Valid (${taxonomy.muscles.length} muscles in ${taxonomy.groups.length} groups)\n`);
+    return taxonomy;
+  } catch (error) {
+    log(`❌ Muscle taxonomy - ${error.message}\n`);
+    addProblem({
+      file: path.join(ROOT_DIR, 'taxonomy', 'muscles.json'),
+      rule: 'muscle-taxonomy',
+      severity: 'error',
+      message: error.message
+    });
+    return null;
+  }
+}
+
+/**
+ * Print the problems found in a file
+ * @param {Array<Object>} fileProblems - Problems as { line, rule, severity, message }
+ */
+function printProblems(fileProblems) {
+  fileProblems.forEach(problem => {
+    const severity = problem.severity.padEnd(7);
+    log(`  - ${severity} line ${problem.line}: ${problem.message} (${problem.rule})`);
+  });
+}
+
+/**
+ * Lint exercise files, including rules spanning several files
+ * @param {Map<string, Object>} exercises - Collects valid exercises by ID ({ file, metadata })
+ * @param {Object|null} taxonomy - Muscle taxonomy, muscles are not checked without one
+ */
+function validateExerciseFiles(exercises, taxonomy) {
+  const files = findDocuments(EXERCISES_DIR).documents;
+  const levels = loadRuleLevels();
+  const documents = [];
   let validCount = 0;
   let invalidCount = 0;
+  let warningCount = 0;
   
-  console.log(`Found ${files.length} markdown files to validate.`);
+  log(`Found ${files.length} exercise files to validate.`);
   
   for (const file of files) {
-    // Skip index files
-    if (file.endsWith('index.md')) {
-      continue;
+    try {
+      let raw = fs.readFileSync(file, 'utf8');
+      
+      if (options.fix) {
+        const context = { validate, taxonomy, schema, documents: [] };
+        const { content, applied, skipped } = fixContent(text => buildDocument(file, text), raw, context, levels);
+        
+        if (applied.length > 0) {
+          fs.writeFileSync(file, content);
+          raw = content;
+          log(`🔧 ${file} - Fixed ${applied.join(', ')}`);
+        }
+        skipped.forEach(({ rule, reason }) => log(`⚠️  ${file} - Did not fix ${rule}: ${reason}`));
+      }
+      
+      documents.push(buildDocument(file, raw));
+    } catch (error) {
+      invalidCount++;
+      log(`❌ ${file} - Error: ${error.message}`);
+      addProblem({ file, rule: 'parse', severity: 'error', message: error.message });
     }
+  }
+  
+  const context = { validate, taxonomy, schema, documents };
+  
+  for (const doc of documents) {
+    const fileProblems = lintDocument(doc, context, levels).map(addProblem);
+    const errors = fileProblems.filter(problem => problem.severity === 'error');
+    warningCount += fileProblems.length - errors.length;
+    
+    if (errors.length === 0) {
+      validCount++;
+      exercises.set(doc.metadata.id, { file: doc.file, metadata: doc.metadata });
+      log(fileProblems.length === 0 ? `✅ ${doc.file} - Valid` : `⚠️  ${doc.file} - Valid with warnings`);
+    } else {
+      invalidCount++;
+      log(`❌ ${doc.file} - Invalid`);
+    }
+    
+    printProblems(fileProblems);
+  }
+  
+  log(`\nValidation complete: ${validCount} valid, ${invalidCount} invalid, ${warningCount} warnings`);
+}
+
+/**
+ * Validate translated exercise files against their base file
+ * Structural problems are errors, outdated or missing translations are warnings.
+ * @param {Map<string, Object>} exercises - Valid exercises by ID
+ */
+function validateTranslations(exercises) {
+  const files = findDocuments(EXERCISES_DIR).translations;
+  const localesByFile = new Map();
+  let invalidCount = 0;
+  let warningCount = 0;
+  
+  log(`\nFound ${files.length} translation files to validate.`);
+  
+  for (const file of files) {
+    const { locale, baseFile, errors, warnings } = checkTranslation(file);
     
+    if (!localesByFile.has(baseFile)) {
+      localesByFile.set(baseFile, new Set());
+    }
+    localesByFile.get(baseFile).add(locale);
+    
+    if (errors.length > 0) {
+      invalidCount++;
+      log(`❌ ${file} - Invalid`);
+      errors.forEach(error => log(`  - ${error}`));
+    } else if (warnings.length > 0) {
+      log(`⚠️  ${file} - Valid with warnings`);
+    } else {
+      log(`✅ ${file} - Valid`);
+    }
+    
+    warnings.forEach(warning => log(`  - ${warning}`));
+    warningCount += warnings.length;
+    
+    errors.forEach(message => addProblem({ file, rule: 'translation', severity: 'error', message }));
+    warnings.forEach(message => addProblem({ file, rule: 'translation-stale', severity: 'warning', message }));
+  }
+  
+  // Every exercise is expected in each language that has translations
+  const locales = new Set([...localesByFile.values()].flatMap(set => [...set]));
+  
+  for (const { file } of exercises.values()) {
+    const translated = localesByFile.get(file) || new Set();
+    const missing = [...locales].filter(locale => !translated.has(locale)).sort();
+    
+    if (missing.length > 0) {
+      warningCount++;
+      log(`⚠️  ${file} - Missing translations: ${missing.join(', ')}`);
+      addProblem({
+        file,
+        rule: 'translation-missing',
+        severity: 'warning',
+        message: `Missing translations: ${missing.join(', ')}`
+      });
+    }
+  }
+  
+  log(`\nTranslation validation complete: ${invalidCount} invalid, ${warningCount} warnings`);
+}
+
+/**
+ * Validate progression, regression and variation links between exercises
+ * @param {Map<string, Object>} exercises - Valid exercises by ID
+ */
+function validateProgressionGraph(exercises) {
+  log('\nValidating exercise progressions.');
+  
+  const errors = checkProgressionLinks(exercises);
+  errors.forEach(({ file, message }) => addProblem({ file, rule: 'progression-links', severity: 'error', message }));
+  
+  if (errors.length === 0) {
+    log('✅ Progression links - Valid');
+  } else {
+    log('❌ Progression links - Invalid');
+    errors.forEach(({ file, message }) => {
+      log(`  - ${file}: ${message}`);
+    });
+  }
+}
+
+/**
+ * Validate workout files, including that referenced exercises exist
+ * @param {Map<string, Object>} exerciseIds - Valid exercises by ID
+ */
+function validateWorkoutFiles(exerciseIds) {
+  const files = findDocuments(WORKOUTS_DIR).documents;
+  let validCount = 0;
+  let invalidCount = 0;
+  
+  log(`\nFound ${files.length} workout files to validate.`);
+  
+  for (const file of files) {
     try {
       const metadata = extractFrontmatter(file);
-      const isValid = validate(metadata);
+      const errors = [];
+      
+      if (!validateWorkout(metadata)) {
+        validateWorkout.errors.forEach(error => {
+          errors.push({ rule: 'workout-schema', message: `${error.instancePath}: ${error.message}` });
+        });
+      }
+      
+      (metadata.blocks || []).forEach((block, blockIndex) => {
+        (block.exercises || []).forEach((entry, entryIndex) => {
+          if (entry.id && !exerciseIds.has(entry.id)) {
+            errors.push({
+              rule: 'workout-exercises',
+              message: `/blocks/${blockIndex}/exercises/${entryIndex}/id: unknown exercise "${entry.id}"`
+            });
+          }
+        });
+      });
       
-      if (isValid) {
+      if (errors.length === 0) {
         validCount++;
-        console.log(`✅ ${file} - Valid`);
+        log(`✅ ${file} - Valid`);
       } else {
         invalidCount++;
-        console.log(`❌ ${file} - Invalid`);
-        console.log('  Validation errors:');
+        log(`❌ ${file} - Invalid`);
+        log('  Validation errors:');
         
-        validate.errors.forEach(error => {
-          console.log(`  - ${error.instancePath}: ${error.message}`);
+        errors.forEach(error => {
+          log(`  - ${error.message}`);
+          addProblem({ file, severity: 'error', ...error });
         });
       }
     } catch (error) {
       invalidCount++;
-      console.log(`❌ ${file} - Error: ${error.message}`);
+      log(`❌ ${file} - Error: ${error.message}`);
+      addProblem({ file, rule: 'parse', severity: 'error', message: error.message });
     }
   }
   
-  console.log(`\nValidation complete: ${validCount} valid, ${invalidCount} invalid`);
+  log(`\nWorkout validation complete: ${validCount} valid, ${invalidCount} invalid`);
+}
+
+/**
+ * Check that exercises/index.md matches the exercise files, or regenerate it with --fix
+ */
+function validateIndex() {
+  log('\nValidating exercise index.');
   
-  return invalidCount === 0;
+  try {
+    if (isIndexCurrent()) {
+      log(`✅ ${INDEX_PATH} - Up to date`);
+      return;
+    }
+    
+    if (options.fix) {
+      writeIndex(readIndexOptions());
+      log(`🔧 ${INDEX_PATH} - Regenerated`);
+      return;
+    }
+    
+    const message = 'Out of date, run npm run generate-index';
+    log(`❌ ${INDEX_PATH} - ${message}`);
+    addProblem({ file: INDEX_PATH, rule: 'index-up-to-date', severity: 'error', message });
+  } catch (error) {
+    log(`❌ ${INDEX_PATH} - Error: ${error.message}`);
+    addProblem({ file: INDEX_PATH, rule: 'index-up-to-date', severity: 'error', message: error.message });
+  }
+}
+
+/**
+ * Print the collected problems in the requested format
+ * @param {string} format - text, json or github
+ */
+function printReport(format) {
+  const errorCount = problems.filter(problem => problem.severity === 'error').length;
+  const warningCount = problems.length - errorCount;
+  
+  if (format === 'json') {
+    console.log(JSON.stringify({ errorCount, warningCount, problems }, null, 2));
+  } else if (format === 'github') {
+    // Workflow commands become annotations on the pull request diff
+    const escape = value => String(value).replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+    const escapeProperty = value => escape(value).replace(/:/g, '%3A').replace(/,/g, '%2C');
+    
+    problems.forEach(problem => {
+      const command = problem.severity === 'error' ? 'error' : 'warning';
+      console.log(`::${command} file=${escapeProperty(problem.file)},line=${problem.line},title=${escapeProperty(problem.rule)}::${escape(problem.message)}`);
+    });
+    console.log(`${errorCount} errors, ${warningCount} warnings`);
+  } else {
+    console.log(`\nTotal: ${errorCount} errors, ${warningCount} warnings`);
+  }
 }
 
 // Execute
-const isValid = validateExerciseFiles();
-process.exit(isValid ? 0 : 1); 
\ No newline at end of file
+try {
+  options = parseArgs(process.argv.slice(2));
+} catch (error) {
+  console.error(`${error.message}\nUsage: node scripts/validate.js [--format text|json|github] [--fix] [--max-warnings n]`);
+  process.exit(EXIT_ERRORS);
+}
+
+const exercises = new Map();
+const taxonomy = validateMuscleTaxonomy();
+validateExerciseFiles(exercises, taxonomy);
+validateProgressionGraph(exercises);
+validateTranslations(exercises);
+validateWorkoutFiles(exercises);
+validateIndex();
+printReport(options.format);
+
+if (problems.some(problem => problem.severity === 'error')) {
+  process.exit(EXIT_ERRORS);
+}
+process.exit(problems.length > options.maxWarnings ? EXIT_WARNINGS : 0);
\ No newline at end of file
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createFixture, build, startServer, addTranslation } = require('./fixture');
+
+/**
+ * Get an API response as JSON with its Content-Language
+ * @param {string} url - Request URL
+ * @returns {Promise<Object>} language and body
+ */
+async function getJson(url) {
+  const response = await fetch(url);
+  assert.strictEqual(response.status, 200);
+  return { language: response.headers.get('content-language'), body: await response.json() };
+}
+
+test('Content-Language lists every language served, the requested one first', async t => {
+  const dir = createFixture(t);
+  addTranslation(dir, 'exercises/categories/lower-body/squat.md', 'it');
+  build(dir);
+  const baseUrl = `${await startServer(t, dir)}/api/v1`;
+
+  const list = await getJson(`${baseUrl}/exercises?lang=it`);
+  assert.strictEqual(list.language, 'it, en');
+  assert.deepStrictEqual(
+    list.body.exercises.map(ex => [ex.id, ex.locale, ex.localeFallback]),
+    [['squat', 'it', false], ['push-up', 'en', true]]
+  );
+
+  assert.strictEqual((await getJson(`${baseUrl}/exercises?lang=it&category=lower-body`)).language, 'it');
+  assert.strictEqual((await getJson(`${baseUrl}/exercises/push-up?lang=it`)).language, 'en');
+  assert.strictEqual((await getJson(`${baseUrl}/exercises`)).language, 'en');
+});
@@ -0,0 +1,192 @@
+/**
+ * Fixtures for tests that run the build or the API
+ *
+ * A fixture is a temporary copy of the build inputs, so tests can edit
+ * exercises and build without touching the repository.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const { execFileSync, spawn } = require('child_process');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const FIXTURE_SOURCES = ['api', 'scripts', 'schemas', 'taxonomy', 'exercises', 'workouts', 'lint.config.json'];
+const SCRIPT_TIMEOUT = 10000;
+
+/**
+ * Copy the build inputs of the repository to a temporary directory
+ * @param {Object} t - Test context, removes the copy when the test ends
+ * @returns {string} Fixture directory
+ */
+function createFixture(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wo-fixture-'));
+  const builtData = path.join(ROOT_DIR, 'api', 'data');
+
+  FIXTURE_SOURCES.forEach(source => {
+    fs.cpSync(path.join(ROOT_DIR, source), path.join(dir, source), {
+      recursive: true,
+      filter: file => !file.startsWith(builtData)
+    });
+  });
+  fs.symlinkSync(path.join(ROOT_DIR, 'node_modules'), path.join(dir, 'node_modules'), 'dir');
+
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Environment for fixture scripts, with a fixed build time and no asset URLs of the developer
+ * @param {Object} extraEnv - Environment variables to set
+ * @returns {Object} Environment
+ */
+function fixtureEnv(extraEnv) {
+  const env = { ...process.env, SOURCE_DATE_EPOCH: '1700000000' };
+  delete env.ASSETS_URL;
+  delete env.BASE_URL;
+  return Object.assign(env, extraEnv);
+}
+
+/**
+ * Run the build in a fixture directory
+ * @param {string} dir - Fixture directory
+ * @param {Object} [extraEnv] - Environment variables to set, such as ASSETS_URL
+ * @returns {string} Build output
+ */
+function build(dir, extraEnv = {}) {
+  return execFileSync(process.execPath, [path.join(dir, 'scripts', 'md-to-json.js')], {
+    cwd: dir,
+    env: fixtureEnv(extraEnv),
+    encoding: 'utf8',
+    stdio: 'pipe'
+  });
+}
+
+/**
+ * Find a port nothing listens on
+ * @returns {Promise<number>} Port
+ */
+function findFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on('error', reject);
+    server.listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Run a script of a fixture in the background
+ * @param {Object} t - Test context, stops the script when the test ends
+ * @param {string} dir - Fixture directory
+ * @param {Array<string>} args - Script path inside the fixture and its arguments
+ * @param {Object} [extraEnv] - Environment variables to set
+ * @returns {Object} waitFor(pattern), resolving once the output matches, and output()
+ */
+function startScript(t, dir, [script, ...args], extraEnv = {}) {
+  const child = spawn(process.execPath, [path.join(dir, script), ...args], {
+    cwd: dir,
+    env: fixtureEnv(extraEnv),
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  let output = '';
+  let exitCode = null;
+
+  child.stdout.on('data', chunk => { output += chunk; });
+  child.stderr.on('data', chunk => { output += chunk; });
+  child.on('exit', code => { exitCode = code; });
+  t.after(() => child.kill());
+
+  const waitFor = pattern => new Promise((resolve, reject) => {
+    const started = Date.now();
+    const poll = setInterval(() => {
+      if (pattern.test(output)) {
+        clearInterval(poll);
+        resolve(output);
+      } else if (exitCode !== null || Date.now() - started > SCRIPT_TIMEOUT) {
+        clearInterval(poll);
+        reject(new Error(`${script} did not print ${pattern}${exitCode !== null ? `, exited with code ${exitCode}` : ''}:\n${output}`));
+      }
+    }, 50);
+  });
+
+  return { waitFor, output: () => output };
+}
+
+/**
+ * Start the API of a fixture
+ * @param {Object} t - Test context, stops the server when the test ends
+ * @param {string} dir - Fixture directory, built beforehand
+ * @returns {Promise<string>} Base URL of the server
+ * @throws {Error} If the server exits or does not start in time
+ */
+async function startServer(t, dir) {
+  const port = await findFreePort();
+  await startScript(t, dir, ['api/index.js'], { PORT: String(port) }).waitFor(/Server running/);
+
+  return `http://localhost:${port}`;
+}
+
+/**
+ * Read a generated file of a fixture
+ * @param {string} dir - Fixture directory
+ * @param {string} file - Path inside api/data
+ * @returns {Object} Parsed JSON
+ */
+function readOutput(dir, file) {
+  return JSON.parse(fs.readFileSync(path.join(dir, 'api', 'data', file), 'utf8'));
+}
+
+/**
+ * Edit a source file of a fixture
+ * @param {string} dir - Fixture directory
+ * @param {string} file - Path inside the fixture
+ * @param {Function} edit - Receives and returns the file content
+ */
+function editFile(dir, file, edit) {
+  const filePath = path.join(dir, file);
+  fs.writeFileSync(filePath, edit(fs.readFileSync(filePath, 'utf8')));
+}
+
+/**
+ * Write a file of a fixture, creating its directory
+ * @param {string} dir - Fixture directory
+ * @param {string} file - Path inside the fixture
+ * @param {string|Buffer|Object} content - File content, objects are written as JSON
+ */
+function writeFile(dir, file, content) {
+  const filePath = path.join(dir, file);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, typeof content === 'object' && !Buffer.isBuffer(content) ? JSON.stringify(content) : content);
+}
+
+/**
+ * Translate an exercise of a fixture, keeping the base file's sections
+ * @param {string} dir - Fixture directory
+ * @param {string} file - Path of the base exercise file inside the fixture
+ * @param {string} locale - Language code, e.g. it
+ * @returns {string} Path of the translation inside the fixture
+ */
+function addTranslation(dir, file, locale) {
+  const translation = file.replace(/\.md$/, `.${locale}.md`);
+  const base = fs.readFileSync(path.join(dir, file), 'utf8');
+  const [, name] = base.match(/^name: (.*)$/m);
+  const body = base.slice(base.indexOf('\n# ')).replace(/^# (.*)$/m, `# $1 (${locale})`);
+
+  fs.writeFileSync(path.join(dir, translation), `---\nname: ${name}\n---\n${body}`);
+  return translation;
+}
+
+module.exports = {
+  createFixture,
+  build,
+  startScript,
+  startServer,
+  readOutput,
+  editFile,
+  writeFile,
+  addTranslation
+};
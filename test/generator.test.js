@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { generateWorkout, usableEquipment, GeneratorError } = require('../api/generator');
+
+/**
+ * Create an exercise with the same prescription at every level
+ * @param {string} id - Exercise id
+ * @param {Object} fields - Category, muscles, equipment and difficulty
+ * @returns {Object} Exercise data
+ */
+function exercise(id, fields) {
+  const prescription = { sets: 3, reps: 10, rest: 60, estimatedTime: 270 };
+
+  return {
+    id,
+    name: id,
+    category: 'upper-body',
+    primaryMuscles: [],
+    secondaryMuscles: [],
+    equipment: ['none'],
+    difficulty: 'beginner',
+    prescriptions: { beginner: prescription, intermediate: prescription, advanced: prescription },
+    ...fields
+  };
+}
+
+const EXERCISES = [
+  exercise('push-up', { primaryMuscles: ['chest'], secondaryMuscles: ['triceps'] }),
+  exercise('dumbbell-press', { primaryMuscles: ['chest'], equipment: ['dumbbell'] }),
+  exercise('barbell-row', { primaryMuscles: ['lats'], equipment: ['barbell'] }),
+  exercise('dumbbell-row', { primaryMuscles: ['lats'], equipment: ['dumbbell', 'cable'] }),
+  exercise('squat', { category: 'lower-body', primaryMuscles: ['quadriceps'], secondaryMuscles: ['glutes'] }),
+  exercise('lunge', { category: 'lower-body', primaryMuscles: ['quadriceps', 'glutes'] }),
+  exercise('pistol-squat', { category: 'lower-body', primaryMuscles: ['quadriceps'], difficulty: 'advanced' }),
+  exercise('plank', { category: 'core', primaryMuscles: ['core'] }),
+  exercise('jumping-jack', { category: 'cardio', primaryMuscles: ['calves'] }),
+  exercise('hamstring-stretch', { category: 'flexibility', primaryMuscles: ['hamstrings'] })
+];
+
+/**
+ * List the ids of every exercise in a generated workout
+ * @param {Object} workout - Generated workout
+ * @returns {Array<string>} Exercise ids
+ */
+function pickedIds(workout) {
+  return workout.blocks.flatMap(block => block.exercises.map(entry => entry.id));
+}
+
+test('the same seed produces the same workout', () => {
+  const body = { duration: 30, equipment: ['dumbbell'], muscles: ['chest'], seed: 'qa-42' };
+
+  assert.deepStrictEqual(generateWorkout(EXERCISES, body), generateWorkout(EXERCISES, body));
+});
+
+test('a generated seed is returned so the workout can be reproduced', () => {
+  const first = generateWorkout(EXERCISES, { duration: 30 });
+  const again = generateWorkout(EXERCISES, { duration: 30, seed: first.seed });
+
+  assert.match(first.seed, /^\d+$/);
+  assert.deepStrictEqual(again.blocks, first.blocks);
+});
+
+test('duration accepts 5 to 180 minutes', () => {
+  assert.strictEqual(generateWorkout(EXERCISES, { duration: 5, seed: 1 }).parameters.duration, 5);
+  assert.strictEqual(generateWorkout(EXERCISES, { duration: '180', seed: 1 }).parameters.duration, 180);
+
+  [4, 181, 'long', null].forEach(duration => {
+    assert.throws(() => generateWorkout(EXERCISES, { duration }), GeneratorError);
+  });
+});
+
+test('invalid parameters are rejected', () => {
+  assert.throws(() => generateWorkout(EXERCISES, { level: 'expert' }), /level must be one of/);
+  assert.throws(() => generateWorkout(EXERCISES, { equipment: 'dumbbell' }), /equipment must be an array/);
+  assert.throws(() => generateWorkout(EXERCISES, { muscles: [1] }), /muscles must be an array/);
+});
+
+test('array and scalar bodies are rejected', () => {
+  assert.throws(() => generateWorkout(EXERCISES, [{ duration: 30 }]), /must be a JSON object/);
+  assert.throws(() => generateWorkout(EXERCISES, 'duration=30'), GeneratorError);
+});
+
+test('a missing body uses the defaults', () => {
+  const { parameters } = generateWorkout(EXERCISES, undefined);
+
+  assert.strictEqual(parameters.duration, 30);
+  assert.strictEqual(parameters.level, 'beginner');
+});
+
+test('usableEquipment returns the listed options that are on hand', () => {
+  assert.deepStrictEqual(usableEquipment(EXERCISES[3], ['cable']), ['cable']);
+  assert.deepStrictEqual(usableEquipment(EXERCISES[0], []), ['none']);
+  assert.deepStrictEqual(usableEquipment({ equipment: [] }, []), ['none']);
+  assert.strictEqual(usableEquipment(EXERCISES[2], ['dumbbell']), null);
+});
+
+test('only exercises doable with the available equipment and level are picked', () => {
+  const ids = pickedIds(generateWorkout(EXERCISES, { duration: 180, equipment: ['dumbbell'], seed: 7 }));
+
+  assert.ok(ids.includes('dumbbell-press'));
+  assert.ok(!ids.includes('barbell-row'));
+  assert.ok(!ids.includes('pistol-squat'));
+});
+
+test('the main block fits in the time left by the warm-up and finisher', () => {
+  const workout = generateWorkout(EXERCISES, { duration: 20, seed: 3 });
+  const main = workout.blocks.find(block => block.name === 'Main');
+  const mainTime = main.exercises.reduce((sum, entry) => sum + entry.estimatedTime, 0);
+
+  assert.ok(mainTime <= 20 * 60 * 0.85);
+  assert.ok(workout.estimatedTime <= 20 * 60);
+  assert.strictEqual(workout.estimatedTime, workout.blocks
+    .flatMap(block => block.exercises)
+    .reduce((sum, entry) => sum + entry.estimatedTime, 0));
+});
+
+test('a short exercise list is reported when it cannot fill the time', () => {
+  const { warnings } = generateWorkout(EXERCISES.slice(0, 2), { duration: 60, seed: 1 });
+
+  assert.ok(warnings.includes('Not enough matching exercises to fill the requested time'));
+});
+
+test('coverage counts the muscles worked in the main block', () => {
+  const workout = generateWorkout(EXERCISES, { duration: 30, muscles: ['chest', 'hamstrings'], seed: 5 });
+  const main = workout.blocks.find(block => block.name === 'Main');
+
+  assert.deepStrictEqual(workout.coverage.covered.sort(), ['chest', 'hamstrings']);
+  assert.ok(main.exercises.some(entry => entry.id === 'hamstring-stretch'));
+  assert.deepStrictEqual(workout.coverage.missed, []);
+});
+
+test('muscles reached only in the warm-up are reported as missed', () => {
+  const exercises = [
+    exercise('push-up', { primaryMuscles: ['chest'] }),
+    exercise('jumping-jack', { category: 'cardio', primaryMuscles: ['calves'] })
+  ];
+  const body = { duration: 5, muscles: ['chest', 'calves'], categories: ['upper-body'], seed: 2 };
+  const workout = generateWorkout(exercises, body);
+
+  assert.deepStrictEqual(workout.blocks.map(block => block.exercises.map(entry => entry.id)), [['jumping-jack'], ['push-up']]);
+  assert.deepStrictEqual(workout.coverage, { covered: ['chest'], missed: ['calves'] });
+});
@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const Ajv = require('ajv');
+const { RULES, fixContent, lintDocument } = require('../scripts/lint-rules');
+const { parseDocument } = require('../scripts/document');
+const schema = require('../schemas/exercise.json');
+
+const FILE = path.join(__dirname, '..', 'exercises', 'categories', 'lower-body', 'squat.md');
+const BODY = '# Squat\n\n## Description\nA squat.\n\n## Instructions\n1. Sit back\n';
+const CONTEXT = { validate: new Ajv().compile(schema), schema, taxonomy: null, documents: [] };
+const ALL_RULES = Object.fromEntries(Object.keys(RULES).map(name => [name, RULES[name].level]));
+
+/**
+ * Parse file content the way the validation script does
+ * @param {string} raw - File content
+ * @returns {Object} Document
+ */
+function parse(raw) {
+  return { file: FILE, raw, ...parseDocument(FILE, raw.replace(/\r\n?/g, '\n')) };
+}
+
+/**
+ * Build an exercise file from frontmatter lines
+ * @param {Array<string>} lines - Frontmatter lines
+ * @returns {string} File content
+ */
+function exerciseFile(lines) {
+  return `---\n${lines.join('\n')}\n---\n${BODY}`;
+}
+
+const CANONICAL = [
+  'id: squat',
+  'name: "Squat"',
+  'category: lower-body',
+  'primaryMuscles: [quadriceps, glutes]',
+  'equipment: [none]',
+  'difficulty: beginner'
+];
+
+test('frontmatter delimiters may have trailing whitespace', () => {
+  const doc = parse(`---  \n${CANONICAL.join('\n')}\n--- \n${BODY}`);
+  const problems = lintDocument(doc, { ...CONTEXT, documents: [doc] }, ALL_RULES);
+
+  assert.strictEqual(doc.metadata.id, 'squat');
+  assert.deepStrictEqual(problems.map(problem => [problem.line, problem.rule]), [
+    [1, 'trailing-whitespace'],
+    [8, 'trailing-whitespace']
+  ]);
+});
+
+test('line endings and whitespace are fixed before the file is parsed', () => {
+  const raw = `---\t\r\n${CANONICAL.join('\r\n')}\r\n---  \r\n${BODY.replace(/\n/g, '\r\n')}\r\n\r\n`;
+  const { content, applied } = fixContent(parse, raw, CONTEXT, ALL_RULES);
+
+  assert.deepStrictEqual(applied, ['line-endings', 'trailing-whitespace']);
+  assert.strictEqual(content, exerciseFile(CANONICAL));
+});
+
+test('reordering keys keeps their text, quoting and comments', () => {
+  const raw = exerciseFile([
+    'name: "Squat"',
+    '# Keep in sync with the folder',
+    'category: lower-body',
+    'id: squat',
+    'primaryMuscles:',
+    '  - quadriceps # main mover',
+    '  - glutes',
+    'difficulty: beginner',
+    'equipment: [none]'
+  ]);
+  const { content, applied, skipped } = fixContent(parse, raw, CONTEXT, ALL_RULES);
+
+  assert.deepStrictEqual(applied, ['frontmatter-order']);
+  assert.deepStrictEqual(skipped, []);
+  assert.strictEqual(content, exerciseFile([
+    'id: squat',
+    'name: "Squat"',
+    '# Keep in sync with the folder',
+    'category: lower-body',
+    'primaryMuscles:',
+    '  - quadriceps # main mover',
+    '  - glutes',
+    'equipment: [none]',
+    'difficulty: beginner'
+  ]));
+});
+
+test('only the values that change are serialized again', () => {
+  const raw = exerciseFile([
+    ...CANONICAL.slice(0, 3),
+    'primaryMuscles: [Quadriceps, "glutes"]',
+    'equipment: ["none"]',
+    'difficulty: beginner'
+  ]);
+  const { content, applied } = fixContent(parse, raw, CONTEXT, ALL_RULES);
+
+  assert.deepStrictEqual(applied, ['value-casing']);
+  assert.strictEqual(content, exerciseFile([
+    ...CANONICAL.slice(0, 3),
+    'primaryMuscles: [quadriceps, glutes]',
+    'equipment: ["none"]',
+    'difficulty: beginner'
+  ]));
+});
+
+test('a fix that would drop a comment is skipped and reported', () => {
+  const raw = exerciseFile([
+    ...CANONICAL.slice(0, 3),
+    'primaryMuscles: [Quadriceps, glutes] # check with the coach',
+    ...CANONICAL.slice(4)
+  ]);
+  const { content, applied, skipped } = fixContent(parse, raw, CONTEXT, ALL_RULES);
+
+  assert.strictEqual(content, raw);
+  assert.deepStrictEqual(applied, []);
+  assert.deepStrictEqual(skipped, [{ rule: 'value-casing', reason: '"primaryMuscles" has comments, fix it by hand' }]);
+});
+
+test('disabled rules are not fixed', () => {
+  const raw = exerciseFile(CANONICAL).replace('\n', '\r\n');
+  const { content, applied } = fixContent(parse, raw, CONTEXT, { ...ALL_RULES, 'line-endings': 'off' });
+
+  assert.strictEqual(content, raw);
+  assert.deepStrictEqual(applied, []);
+});
+
+test('links to missing assets are errors', () => {
+  const doc = parse(exerciseFile(CANONICAL).replace('## Description', '![Squat](../../../assets/images/missing.jpg)\n\n## Description'));
+  const problems = lintDocument(doc, { ...CONTEXT, documents: [doc] }, ALL_RULES);
+
+  assert.strictEqual(RULES['asset-exists'].level, 'error');
+  assert.deepStrictEqual(
+    problems.filter(problem => problem.rule === 'asset-exists').map(problem => [problem.severity, problem.message]),
+    [['error', '../../../assets/images/missing.jpg does not exist']]
+  );
+});
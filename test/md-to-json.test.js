@@ -0,0 +1,266 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createFixture, build, startScript, readOutput, editFile, writeFile, addTranslation } = require('./fixture');
+
+const SQUAT = 'exercises/categories/lower-body/squat.md';
+
+/**
+ * Get the latest changelog entry of a fixture
+ * @param {string} dir - Fixture directory
+ * @returns {Object} Changelog entry
+ */
+function lastChange(dir) {
+  const { entries } = readOutput(dir, 'changelog.json');
+  return entries[entries.length - 1];
+}
+
+/**
+ * Add an exercise to a fixture, based on the squat
+ * @param {string} dir - Fixture directory
+ * @param {string} id - New exercise id
+ * @returns {string} Path of the new file inside the fixture
+ */
+function addExercise(dir, id) {
+  const file = `exercises/categories/lower-body/${id}.md`;
+  const content = fs.readFileSync(path.join(dir, SQUAT), 'utf8')
+    .replace('id: squat', `id: ${id}`)
+    .replace('name: Squat', `name: ${id}`)
+    .replace(/^aliases: .*\n/m, '');
+
+  fs.writeFileSync(path.join(dir, file), content);
+  return file;
+}
+
+test('the first build is a minor version listing every exercise as added', t => {
+  const dir = createFixture(t);
+  build(dir);
+
+  assert.strictEqual(readOutput(dir, 'version.json').version, '1.1.0');
+  assert.deepStrictEqual(lastChange(dir), {
+    version: '1.1.0',
+    previousVersion: '1.0.0',
+    date: '2023-11-14T22:13:20.000Z',
+    added: ['push-up', 'squat'],
+    modified: [],
+    removed: [],
+    changeType: 'minor'
+  });
+});
+
+test('a build without changes keeps the version and output', t => {
+  const dir = createFixture(t);
+  build(dir);
+  const before = fs.readFileSync(path.join(dir, 'api', 'data', 'exercises.json'), 'utf8');
+
+  build(dir);
+
+  assert.strictEqual(readOutput(dir, 'version.json').version, '1.1.0');
+  assert.strictEqual(readOutput(dir, 'changelog.json').entries.length, 1);
+  assert.strictEqual(fs.readFileSync(path.join(dir, 'api', 'data', 'exercises.json'), 'utf8'), before);
+});
+
+test('editing an exercise is a patch', t => {
+  const dir = createFixture(t);
+  build(dir);
+
+  editFile(dir, SQUAT, content => content.replace('## Description\n', '## Description\nKeep your weight on your heels. '));
+  build(dir);
+
+  const change = lastChange(dir);
+  assert.strictEqual(readOutput(dir, 'version.json').version, '1.1.1');
+  assert.deepStrictEqual([change.changeType, change.previousVersion], ['patch', '1.1.0']);
+  assert.deepStrictEqual([change.added, change.modified, change.removed], [[], ['squat'], []]);
+  assert.match(readOutput(dir, 'squat.json').description, /^Keep your weight on your heels/);
+});
+
+test('adding an exercise is a minor version', t => {
+  const dir = createFixture(t);
+  build(dir);
+
+  addExercise(dir, 'box-squat');
+  build(dir);
+
+  const change = lastChange(dir);
+  assert.strictEqual(readOutput(dir, 'version.json').version, '1.2.0');
+  assert.deepStrictEqual([change.changeType, change.added, change.modified, change.removed], ['minor', ['box-squat'], [], []]);
+  assert.strictEqual(readOutput(dir, 'box-squat.json').id, 'box-squat');
+});
+
+test('removing a field is a major version', t => {
+  const dir = createFixture(t);
+  build(dir);
+
+  editFile(dir, SQUAT, content => content.replace(/^tags: .*\n/m, ''));
+  build(dir);
+
+  const versionData = readOutput(dir, 'version.json');
+  assert.deepStrictEqual([versionData.version, versionData.fullResyncRequired], ['2.0.0', true]);
+  assert.deepStrictEqual([lastChange(dir).changeType, lastChange(dir).modified], ['major', ['squat']]);
+});
+
+test('removing an exercise is a major version and removes its output', t => {
+  const dir = createFixture(t);
+  const file = addExercise(dir, 'box-squat');
+  build(dir);
+  assert.ok(fs.existsSync(path.join(dir, 'api', 'data', 'box-squat.json')));
+
+  fs.unlinkSync(path.join(dir, file));
+  build(dir);
+
+  const change = lastChange(dir);
+  assert.strictEqual(readOutput(dir, 'version.json').version, '2.0.0');
+  assert.deepStrictEqual([change.changeType, change.added, change.modified, change.removed], ['major', [], [], ['box-squat']]);
+  assert.ok(!fs.existsSync(path.join(dir, 'api', 'data', 'box-squat.json')));
+  assert.deepStrictEqual(readOutput(dir, 'exercises.json').exercises.map(ex => ex.id), ['squat', 'push-up']);
+});
+
+test('removing the last translation of a language removes its output', t => {
+  const dir = createFixture(t);
+  const translation = addTranslation(dir, SQUAT, 'it');
+  build(dir);
+
+  assert.strictEqual(readOutput(dir, 'locales/it/squat.json').locale, 'it');
+  assert.strictEqual(readOutput(dir, 'locales/it/push-up.json').localeFallback, true);
+
+  fs.unlinkSync(path.join(dir, translation));
+  build(dir);
+
+  const change = lastChange(dir);
+  assert.deepStrictEqual([change.changeType, change.modified], ['patch', ['squat']]);
+  assert.ok(!fs.existsSync(path.join(dir, 'api', 'data', 'locales', 'it')));
+  assert.deepStrictEqual(readOutput(dir, 'version.json').locales, ['en']);
+});
+
+test('an invalid file stops the build without writing anything', t => {
+  const dir = createFixture(t);
+  build(dir);
+  const before = fs.readFileSync(path.join(dir, 'api', 'data', 'version.json'), 'utf8');
+
+  editFile(dir, SQUAT, content => content.replace('## Instructions', '## Steps'));
+
+  assert.throws(() => build(dir), error => /Missing "## Instructions" section/.test(error.stderr));
+  assert.strictEqual(fs.readFileSync(path.join(dir, 'api', 'data', 'version.json'), 'utf8'), before);
+});
+
+test('placeholders are only listed for images the image scripts have processed', t => {
+  const dir = createFixture(t);
+  const assetsUrl = 'http://localhost:3000/assets/';
+  writeFile(dir, 'assets/images/squat.jpg', 'jpeg');
+  writeFile(dir, 'assets/images/squat-side.jpg', 'jpeg');
+  editFile(dir, SQUAT, content => content.replace('## Description', [
+    '![Squat at the bottom](../../../assets/images/squat.jpg)',
+    '![Squat from the side](../../../assets/images/squat-side.jpg)',
+    '',
+    '## Description'
+  ].join('\n')));
+
+  build(dir);
+  assert.deepStrictEqual(readOutput(dir, 'squat.json').mobile.placeholders, []);
+
+  writeFile(dir, 'dist/image-manifest.json', {
+    assets: {
+      'images/squat-side.jpg': {
+        width: 1600,
+        height: 1000,
+        type: 'image/jpeg',
+        placeholder: { dominantColor: '#8a7f74', lqip: 'data:image/jpeg;base64,AAAA' },
+        variants: []
+      }
+    }
+  });
+  build(dir, { ASSETS_URL: assetsUrl });
+
+  const { mobile } = readOutput(dir, 'squat.json');
+  assert.deepStrictEqual(mobile.placeholders, [{
+    url: `${assetsUrl}images/squat-side.jpg`,
+    width: 1600,
+    height: 1000,
+    aspectRatio: 1.6,
+    dominantColor: '#8a7f74',
+    lqip: 'data:image/jpeg;base64,AAAA'
+  }]);
+  assert.deepStrictEqual(mobile.thumbnails, []);
+});
+
+test('videos have the same fields whether or not the video manifest lists them', t => {
+  const dir = createFixture(t);
+  const assetsUrl = 'http://localhost:3000/assets/';
+  writeFile(dir, 'assets/videos/squat.mp4', 'mp4');
+  writeFile(dir, 'assets/videos/squat-side.mp4', 'mp4');
+  editFile(dir, SQUAT, content => content.replace('## Description', [
+    '[Squat video](../../../assets/videos/squat.mp4)',
+    '[Squat from the side](../../../assets/videos/squat-side.mp4)',
+    '',
+    '## Description'
+  ].join('\n')));
+  writeFile(dir, 'dist/video-manifest.json', {
+    assets: {
+      'videos/squat.mp4': {
+        width: 720,
+        height: 1280,
+        type: 'video/mp4',
+        duration: 12.5,
+        videoCodec: 'avc1.64001f',
+        audioCodec: 'mp4a',
+        bytes: 2048
+      }
+    }
+  });
+  build(dir, { ASSETS_URL: assetsUrl });
+
+  const [listed, unlisted] = readOutput(dir, 'squat.json').videos;
+  assert.deepStrictEqual(Object.keys(unlisted).sort(), Object.keys(listed).sort());
+  assert.deepStrictEqual(
+    [listed.codec, listed.audioCodec, listed.bytes, listed.duration],
+    ['avc1.64001f', 'mp4a', 2048, 12.5]
+  );
+  assert.deepStrictEqual(
+    [unlisted.codec, unlisted.audioCodec, unlisted.bytes, unlisted.duration],
+    [null, null, null, null]
+  );
+});
+
+test('a missing asset stops the build unless lint.config.local.json relaxes it', t => {
+  const dir = createFixture(t);
+  editFile(dir, SQUAT, content => content.replace('## Description', '![Squat](../../../assets/images/missing.jpg)\n\n## Description'));
+
+  assert.throws(() => build(dir), error => /missing\.jpg does not exist/.test(error.stderr));
+
+  writeFile(dir, 'lint.config.local.json', { rules: { 'asset-exists': 'warn' } });
+  build(dir);
+
+  assert.strictEqual(readOutput(dir, 'squat.json').images.length, 1);
+});
+
+test('watching rebuilds only the changed files', async t => {
+  const dir = createFixture(t);
+  const outputPath = file => path.join(dir, 'api', 'data', file);
+  const watcher = startScript(t, dir, ['scripts/md-to-json.js', '--watch']);
+  await watcher.waitFor(/Watching exercises/);
+  const pushUpWritten = fs.statSync(outputPath('push-up.json')).mtimeMs;
+
+  editFile(dir, SQUAT, content => content.replace('## Description\n', '## Description\nKeep your weight on your heels. '));
+  const output = await watcher.waitFor(/Rebuilding[\s\S]*Current version: 1\.1\.1/);
+
+  assert.match(output, /Found 2 markdown files to process, 1 changed\./);
+  assert.match(output, /Found 1 workout files to process, 0 changed\./);
+  assert.match(readOutput(dir, 'squat.json').description, /^Keep your weight on your heels/);
+  assert.strictEqual(fs.statSync(outputPath('push-up.json')).mtimeMs, pushUpWritten);
+});
+
+test('built assets are linked under ASSETS_URL, which must be set once they exist', t => {
+  const dir = createFixture(t);
+  const assetsUrl = 'http://localhost:3000/assets/';
+  writeFile(dir, 'assets/images/squat.jpg', 'jpeg');
+  editFile(dir, SQUAT, content => content.replace('## Description', '![Squat](../../../assets/images/squat.jpg)\n\n## Description'));
+  writeFile(dir, 'dist/asset-map.json', {
+    assets: { 'images/squat.jpg': { hash: '3f2a9c1b', path: 'images/squat.3f2a9c1b.jpg' } }
+  });
+
+  assert.throws(() => build(dir), error => /Set ASSETS_URL/.test(error.stderr));
+
+  build(dir, { ASSETS_URL: assetsUrl });
+  assert.strictEqual(readOutput(dir, 'squat.json').images[0].url, `${assetsUrl}images/squat.3f2a9c1b.jpg`);
+});
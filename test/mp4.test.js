@@ -0,0 +1,168 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readMp4Metadata, Mp4Error } = require('../scripts/mp4');
+
+const IDENTITY = [0x10000, 0, 0, 0, 0x10000, 0, 0, 0, 0x40000000];
+const ROTATE_90 = [0, 0x10000, 0, -0x10000, 0, 0, 0, 0, 0x40000000];
+
+/**
+ * Build a box from its type and payload
+ * @param {string} type - Four character box type
+ * @param {...Buffer} payloads - Payload parts, such as child boxes
+ * @returns {Buffer} Box
+ */
+function box(type, ...payloads) {
+  const header = Buffer.alloc(8);
+  const payload = Buffer.concat(payloads);
+  header.writeUInt32BE(8 + payload.length, 0);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Build a version 0 movie header
+ * @param {number} timescale - Units per second
+ * @param {number} duration - Duration in timescale units
+ * @returns {Buffer} mvhd box
+ */
+function movieHeader(timescale, duration) {
+  const payload = Buffer.alloc(100);
+  payload.writeUInt32BE(timescale, 12);
+  payload.writeUInt32BE(duration, 16);
+  return box('mvhd', payload);
+}
+
+/**
+ * Build a version 0 track header
+ * @param {number} width - Stored width in pixels
+ * @param {number} height - Stored height in pixels
+ * @param {Array<number>} matrix - Transformation matrix
+ * @returns {Buffer} tkhd box
+ */
+function trackHeader(width, height, matrix) {
+  const payload = Buffer.alloc(84);
+  matrix.forEach((value, index) => payload.writeInt32BE(value, 40 + index * 4));
+  payload.writeUInt32BE(width * 65536, 76);
+  payload.writeUInt32BE(height * 65536, 80);
+  return box('tkhd', payload);
+}
+
+/**
+ * Build a track
+ * @param {string} handler - Handler type, vide or soun
+ * @param {Buffer} sampleEntry - First sample description
+ * @param {Buffer} header - tkhd box
+ * @returns {Buffer} trak box
+ */
+function track(handler, sampleEntry, header) {
+  const hdlr = Buffer.alloc(24);
+  hdlr.write(handler, 8, 'latin1');
+  const stsd = Buffer.alloc(8);
+  stsd.writeUInt32BE(1, 4);
+
+  return box('trak',
+    header,
+    box('mdia',
+      box('hdlr', hdlr),
+      box('minf', box('stbl', box('stsd', stsd, sampleEntry)))));
+}
+
+/**
+ * Build an H.264 video track
+ * @param {number} width - Stored width in pixels
+ * @param {number} height - Stored height in pixels
+ * @param {Array<number>} [matrix] - Transformation matrix
+ * @returns {Buffer} trak box
+ */
+function videoTrack(width, height, matrix = IDENTITY) {
+  const avcC = box('avcC', Buffer.from([1, 0x64, 0x00, 0x1f, 0xff]));
+  return track('vide', box('avc1', Buffer.alloc(78), avcC), trackHeader(width, height, matrix));
+}
+
+/**
+ * Build an AAC audio track
+ * @returns {Buffer} trak box
+ */
+function audioTrack() {
+  return track('soun', box('mp4a', Buffer.alloc(28)), trackHeader(0, 0, IDENTITY));
+}
+
+/**
+ * Build an MP4 file with a 12.5 second movie
+ * @param {...Buffer} tracks - trak boxes
+ * @returns {Buffer} File content
+ */
+function mp4(...tracks) {
+  return Buffer.concat([
+    box('ftyp', Buffer.from('isom\0\0\0\0isomavc1', 'latin1')),
+    box('moov', movieHeader(1000, 12500), ...tracks),
+    box('mdat', Buffer.alloc(64))
+  ]);
+}
+
+/**
+ * Write a file to a temporary directory
+ * @param {Object} t - Test context, removes the directory when the test ends
+ * @param {Buffer} content - File content
+ * @returns {string} File path
+ */
+function writeVideo(t, content) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mp4-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const file = path.join(dir, 'video.mp4');
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+test('reads the duration, size and codecs of a landscape video', t => {
+  const content = mp4(videoTrack(1920, 1080), audioTrack());
+
+  assert.deepStrictEqual(readMp4Metadata(writeVideo(t, content)), {
+    duration: 12.5,
+    width: 1920,
+    height: 1080,
+    videoCodec: 'avc1.64001f',
+    audioCodec: 'mp4a',
+    bytes: content.length
+  });
+});
+
+test('swaps width and height of a video rotated by 90 degrees', t => {
+  const metadata = readMp4Metadata(writeVideo(t, mp4(videoTrack(1920, 1080, ROTATE_90))));
+
+  assert.deepStrictEqual([metadata.width, metadata.height], [1080, 1920]);
+  assert.strictEqual(metadata.audioCodec, null);
+});
+
+test('a file without a video track has no size or video codec', t => {
+  const metadata = readMp4Metadata(writeVideo(t, mp4(audioTrack())));
+
+  assert.deepStrictEqual(
+    [metadata.duration, metadata.width, metadata.height, metadata.videoCodec, metadata.audioCodec],
+    [12.5, null, null, null, 'mp4a']
+  );
+});
+
+test('a truncated file is an Mp4Error', t => {
+  const content = mp4(videoTrack(1920, 1080));
+  const moovEnd = content.indexOf('mdat', 0, 'latin1') - 4;
+
+  assert.throws(() => readMp4Metadata(writeVideo(t, content.subarray(0, moovEnd - 20))), Mp4Error);
+});
+
+test('a file whose movie box was never written is an Mp4Error', t => {
+  const content = Buffer.concat([
+    box('ftyp', Buffer.from('isom\0\0\0\0isom', 'latin1')),
+    box('mdat', Buffer.alloc(64))
+  ]);
+
+  assert.throws(() => readMp4Metadata(writeVideo(t, content)), /No movie header/);
+});
+
+test('a file that is not an MP4 container is an Mp4Error', t => {
+  assert.throws(() => readMp4Metadata(writeVideo(t, Buffer.from('GIF89a, not a video'))), Mp4Error);
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  buildSearchIndex,
+  searchExercises,
+  tokenize,
+  stem,
+  editDistance,
+  highlightText
+} = require('../api/search');
+
+const EXERCISES = [
+  {
+    id: 'squat',
+    name: 'Squat',
+    aliases: ['Bodyweight squat'],
+    tags: ['compound'],
+    description: 'Lower your hips <below> parallel & stand back up.'
+  },
+  {
+    id: 'push-up',
+    name: 'Push-Up',
+    aliases: ['Press-up'],
+    tags: ['compound'],
+    description: 'Lower your chest to the floor while keeping a straight line.'
+  },
+  {
+    id: 'lunge',
+    name: 'Lunge',
+    tags: ['unilateral'],
+    description: 'Step forward and bend both knees.'
+  }
+];
+
+/**
+ * Search the fixture exercises and return the matching ids in rank order
+ * @param {string} query - User query
+ * @returns {Array<string>} Exercise ids
+ */
+function searchIds(query) {
+  return searchExercises(buildSearchIndex(EXERCISES), query).map(result => result.exercise.id);
+}
+
+test('stem strips plural and verb suffixes', () => {
+  assert.strictEqual(stem('squats'), 'squat');
+  assert.strictEqual(stem('presses'), 'press');
+  assert.strictEqual(stem('bodies'), 'body');
+  assert.strictEqual(stem('stepping'), 'step');
+  assert.strictEqual(stem('pulled'), 'pull');
+  assert.strictEqual(stem('abs'), 'ab');
+  assert.strictEqual(stem('press'), 'press');
+});
+
+test('tokenize stems words, drops stopwords and joins hyphenated words', () => {
+  assert.deepStrictEqual(tokenize('The Squats and Lunges'), ['squat', 'lunge']);
+  assert.deepStrictEqual(tokenize('Push-Up'), ['push', 'pushup']);
+  assert.deepStrictEqual(tokenize(''), []);
+  assert.deepStrictEqual(tokenize(null), []);
+});
+
+test('editDistance counts a transposition as one edit', () => {
+  assert.strictEqual(editDistance('squat', 'sqaut', 2), 1);
+  assert.strictEqual(editDistance('lunge', 'lunges', 2), 1);
+  assert.strictEqual(editDistance('squat', 'squat', 2), 0);
+});
+
+test('editDistance stops once the limit is exceeded', () => {
+  assert.strictEqual(editDistance('squat', 'plank', 1), 2);
+  assert.strictEqual(editDistance('row', 'deadlift', 2), 3);
+});
+
+test('search ranks exact name matches first', () => {
+  assert.deepStrictEqual(searchIds('squat'), ['squat']);
+  assert.deepStrictEqual(searchIds('pushups'), ['push-up']);
+});
+
+test('search tolerates typos', () => {
+  assert.deepStrictEqual(searchIds('sqaut'), ['squat']);
+});
+
+test('only the last query word matches as a prefix', () => {
+  assert.deepStrictEqual(searchIds('squ'), ['squat']);
+  assert.deepStrictEqual(searchIds('squ compound'), ['push-up', 'squat']);
+  assert.deepStrictEqual(searchIds('compound squ'), ['squat', 'push-up']);
+});
+
+test('highlightText escapes HTML and marks matching words', () => {
+  const { highlighted, firstMatch } = highlightText('Keep <chest> & squat "low"', new Set(['squat']));
+
+  assert.strictEqual(highlighted, 'Keep &lt;chest&gt; &amp; <mark>squat</mark> &quot;low&quot;');
+  assert.strictEqual(firstMatch, 15);
+});
+
+test('highlightText reports no match with -1', () => {
+  assert.strictEqual(highlightText('Keep <chest> up', new Set(['squat'])).firstMatch, -1);
+});
+
+test('search highlights are HTML-escaped', () => {
+  const [result] = searchExercises(buildSearchIndex(EXERCISES), 'parallel');
+
+  assert.strictEqual(result.exercise.id, 'squat');
+  assert.strictEqual(result.highlights.description, 'Lower your hips &lt;below&gt; <mark>parallel</mark> &amp; stand back up.');
+});